@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+
+/**
+ * GT48 - Command-line interface
+ *
+ * Generate, decode, validate and convert 48-bit timestamp IDs:
+ *
+ *   gt48 generate [-n count] [--format f] [layout options]
+ *   gt48 decode <id...> [--from f] [--json] [layout options]
+ *   gt48 validate [id...] [--from f]       (reads stdin when no IDs are given)
+ *   gt48 convert <id...> --to f [--from f] [layout options]
+ *
+ * @author GT48 Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const {
+    createGenerator,
+    generateTimestamps48,
+    decodeTimestamp48,
+    parseTimestamp48,
+    timestampToDate,
+    isValidTimestamp,
+    encodeBase64URL48,
+    encodeTaggedBase64URL48,
+    getAlphabet,
+    encodeWithAlphabet,
+    decodeWithAlphabet,
+    GT48Error,
+    InvalidConfigError,
+    InvalidEncodingError,
+    MAX_48_BIT
+} = require('../src/timestamp.js');
+
+const USAGE = `Usage: gt48 <command> [options]
+
+Commands:
+  generate                 Generate IDs
+  decode <id...>           Show the date, timestamp, node ID and sequence of IDs
+  validate [id...]         Check IDs (one per line from stdin if none are given)
+  convert <id...>          Re-encode IDs in another format
+
+Options:
+  -n, --count <n>          Number of IDs to generate (default 1)
+  -f, --format <format>    Output format for generate (default base64url)
+      --from <format>      Input format (default: detect number, hex or base64url;
+                           required for 12-digit IDs)
+      --to <format>        Output format for convert
+      --json               Print decoded IDs as JSON, one object per line
+
+Layout options (must match the generator that produced the IDs):
+      --epoch <ms|date>    Custom epoch (default 2024-01-01T00:00:00Z)
+      --precision <unit>   seconds, milliseconds or nanoseconds
+      --sequence-bits <n>  Sequence bits (default 8)
+      --node-bits <n>      Node ID bits (default 0)
+      --node-id <n>        Node ID for generate
+      --bits <n>           48, 64 or 128 (generate only)
+      --self-describing    Layout-tagged Base64URL output
+
+Formats: base64url, hex, number, or a sortable alphabet (base32, base64sort,
+base62, base36). Exit status is 1 if any ID is invalid and 2 on usage errors.`;
+
+const OPTIONS = {
+    count: { type: 'string', short: 'n' },
+    format: { type: 'string', short: 'f' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    json: { type: 'boolean' },
+    epoch: { type: 'string' },
+    precision: { type: 'string' },
+    'sequence-bits': { type: 'string' },
+    'node-bits': { type: 'string' },
+    'node-id': { type: 'string' },
+    bits: { type: 'string' },
+    'self-describing': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse an integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name for error messages
+ * @returns {number|undefined} Parsed integer, or undefined if not given
+ */
+function parseInteger(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new InvalidConfigError(`--${name} must be a non-negative integer`);
+    }
+    return Number(value);
+}
+
+/**
+ * Build generator config from layout options
+ * @param {object} values - Parsed options
+ * @returns {object} Generator config
+ */
+function layoutConfig(values) {
+    const config = {
+        precision: values.precision,
+        sequenceBits: parseInteger(values['sequence-bits'], 'sequence-bits'),
+        nodeBits: parseInteger(values['node-bits'], 'node-bits'),
+        nodeId: parseInteger(values['node-id'], 'node-id'),
+        bits: parseInteger(values.bits, 'bits'),
+        selfDescribing: values['self-describing'],
+        format: values.format
+    };
+
+    if (values.epoch !== undefined) {
+        const epoch = /^\d+$/.test(values.epoch) ? Number(values.epoch) : Date.parse(values.epoch);
+        if (Number.isNaN(epoch)) {
+            throw new InvalidConfigError(`--epoch must be Unix milliseconds or a date, got ${values.epoch}`);
+        }
+        config.epoch = epoch;
+    }
+
+    // Leave unset options to the library defaults
+    for (const key of Object.keys(config)) {
+        if (config[key] === undefined) {
+            delete config[key];
+        }
+    }
+    return config;
+}
+
+/**
+ * Detect the format of an encoded ID
+ *
+ * Digit strings are read as decimal numbers, 12 hex digits as hex and 8, 11
+ * or 18 characters as Base64URL. Twelve digits are a valid hex ID and a valid
+ * number with different dates, so they are rejected rather than guessed;
+ * they, and Base64URL IDs that happen to be all digits, need --from.
+ *
+ * @param {string} id - Encoded ID
+ * @param {string} from - Explicit input format, if given
+ * @returns {string} Input format
+ * @throws {InvalidEncodingError} If the format cannot be detected
+ */
+function detectFormat(id, from) {
+    if (from) {
+        return from;
+    }
+    if (/^\d{12}$/.test(id)) {
+        throw new InvalidEncodingError(`${id} could be hex or a number; pass --from hex or --from number`);
+    }
+    if (/^\d+$/.test(id)) {
+        return 'number';
+    }
+    if (/^[0-9a-f]{12}$/i.test(id)) {
+        return 'hex';
+    }
+    if (id.length === 8 || id.length === 11 || id.length === 18) {
+        return 'base64url';
+    }
+    throw new InvalidEncodingError(`Cannot detect the format of ${id}; pass --from`);
+}
+
+/**
+ * Decode an ID to its raw 48-bit value
+ * @param {string} id - Encoded ID
+ * @param {string} format - Input format
+ * @returns {number} Raw 48-bit value
+ * @throws {InvalidEncodingError} If the ID does not decode
+ */
+function decodeRaw(id, format) {
+    switch (format) {
+        case 'base64url':
+            return decodeTimestamp48(id);
+        case 'hex':
+            if (!/^[0-9a-f]{1,12}$/i.test(id)) {
+                throw new InvalidEncodingError(`Invalid hex timestamp: ${id}`);
+            }
+            return parseInt(id, 16);
+        case 'number': {
+            const value = Number(id);
+            if (!/^\d+$/.test(id) || value > MAX_48_BIT) {
+                throw new InvalidEncodingError(`Invalid numeric timestamp: ${id}`);
+            }
+            return value;
+        }
+        default:
+            if (!getAlphabet(format)) {
+                throw new InvalidConfigError(`Unknown format: ${format}`);
+            }
+            return decodeWithAlphabet(id, format);
+    }
+}
+
+/**
+ * Encode a raw 48-bit value
+ * @param {number} raw - Raw value
+ * @param {string} format - Output format
+ * @param {TimestampGenerator} generator - Generator providing the layout for tagged output
+ * @returns {string} Encoded ID
+ */
+function encodeRaw(raw, format, generator) {
+    switch (format) {
+        case 'base64url':
+            return generator.config.selfDescribing ? encodeTaggedBase64URL48(raw, generator.layout) : encodeBase64URL48(raw);
+        case 'hex':
+            return raw.toString(16).padStart(12, '0');
+        case 'number':
+            return String(raw);
+        default:
+            if (!getAlphabet(format)) {
+                throw new InvalidConfigError(`Unknown format: ${format}`);
+            }
+            return encodeWithAlphabet(raw, format);
+    }
+}
+
+/**
+ * Read non-empty trimmed lines from a stream
+ * @param {object} input - Readable stream
+ * @returns {AsyncGenerator<string>} Lines
+ */
+async function* readLines(input) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+        const trimmed = line.trim();
+        if (trimmed) {
+            yield trimmed;
+        }
+    }
+}
+
+/**
+ * Generate IDs
+ * @param {object} values - Parsed options
+ * @param {object} io - Output streams
+ * @returns {number} Exit status
+ */
+function generateCommand(values, io) {
+    const count = parseInteger(values.count, 'count') ?? 1;
+    const generator = createGenerator(layoutConfig(values));
+    if (generator.config.format === 'binary') {
+        throw new InvalidConfigError('Binary output is not printable; use --format hex');
+    }
+
+    if (generator.wide) {
+        for (let i = 0; i < count; i++) {
+            io.stdout.write(`${generator.generate()}\n`);
+        }
+        return 0;
+    }
+
+    const ids = generateTimestamps48(count, { generator });
+    io.stdout.write(Array.from(ids).join('\n') + (count ? '\n' : ''));
+    return 0;
+}
+
+/**
+ * Decode IDs into their fields
+ * @param {string[]} ids - Encoded IDs
+ * @param {object} values - Parsed options
+ * @param {object} io - Output streams
+ * @returns {number} Exit status
+ */
+function decodeCommand(ids, values, io) {
+    if (ids.length === 0) {
+        throw new InvalidConfigError('decode needs at least one ID');
+    }
+    const generator = createGenerator(layoutConfig(values));
+    let status = 0;
+
+    ids.forEach((id, i) => {
+        let parsed;
+        try {
+            const format = detectFormat(id, values.from);
+            // Base64URL strings are parsed directly so a layout tag is honored
+            parsed = parseTimestamp48(format === 'base64url' ? id : decodeRaw(id, format), { generator });
+        } catch (error) {
+            if (!(error instanceof GT48Error)) {
+                throw error;
+            }
+            io.stderr.write(`gt48: ${id}: ${error.message}\n`);
+            status = 1;
+            return;
+        }
+
+        const fields = {
+            id,
+            date: timestampToDate(parsed.unixMs).toISOString(),
+            unixMs: parsed.unixMs,
+            timestamp: parsed.timestamp,
+            precision: parsed.layout.precision,
+            nodeId: parsed.nodeId,
+            sequence: parsed.sequence,
+            raw: parsed.raw,
+            hex: parsed.raw.toString(16).padStart(12, '0')
+        };
+
+        if (values.json) {
+            io.stdout.write(`${JSON.stringify(fields)}\n`);
+            return;
+        }
+        if (i > 0) {
+            io.stdout.write('\n');
+        }
+        for (const [key, value] of Object.entries(fields)) {
+            io.stdout.write(`${key.padEnd(10)}${value}\n`);
+        }
+    });
+    return status;
+}
+
+/**
+ * Validate IDs, one result line per ID
+ * @param {string[]} ids - IDs from the command line (stdin is read if empty)
+ * @param {object} values - Parsed options
+ * @param {object} io - Input and output streams
+ * @returns {Promise<number>} Exit status: 1 if any ID is invalid
+ */
+async function validateCommand(ids, values, io) {
+    const source = ids.length > 0 ? ids : readLines(io.stdin);
+    let status = 0;
+
+    for await (const id of source) {
+        let valid;
+        try {
+            // Twelve digits decode both as hex and as a number, so either reading validates them
+            const format = detectFormat(id, values.from || (/^\d{12}$/.test(id) ? 'hex' : undefined));
+            if (format === 'base64url') {
+                valid = isValidTimestamp(id);
+            } else {
+                decodeRaw(id, format);
+                valid = true;
+            }
+        } catch (error) {
+            if (!(error instanceof InvalidEncodingError)) {
+                throw error;
+            }
+            valid = false;
+        }
+
+        io.stdout.write(`${id}\t${valid ? 'valid' : 'invalid'}\n`);
+        if (!valid) {
+            status = 1;
+        }
+    }
+    return status;
+}
+
+/**
+ * Re-encode IDs in another format
+ * @param {string[]} ids - Encoded IDs
+ * @param {object} values - Parsed options
+ * @param {object} io - Output streams
+ * @returns {number} Exit status
+ */
+function convertCommand(ids, values, io) {
+    if (!values.to) {
+        throw new InvalidConfigError('convert needs --to <format>');
+    }
+    if (ids.length === 0) {
+        throw new InvalidConfigError('convert needs at least one ID');
+    }
+    const generator = createGenerator(layoutConfig(values));
+    let status = 0;
+
+    for (const id of ids) {
+        try {
+            io.stdout.write(`${encodeRaw(decodeRaw(id, detectFormat(id, values.from)), values.to, generator)}\n`);
+        } catch (error) {
+            if (!(error instanceof InvalidEncodingError)) {
+                throw error;
+            }
+            io.stderr.write(`gt48: ${id}: ${error.message}\n`);
+            status = 1;
+        }
+    }
+    return status;
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {object} io - Streams: stdin, stdout, stderr (default: process streams)
+ * @returns {Promise<number>} Exit status
+ */
+async function main(argv, io = process) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        io.stderr.write(`gt48: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...ids] = positionals;
+    if (values.help || !command) {
+        (values.help ? io.stdout : io.stderr).write(`${USAGE}\n`);
+        return values.help ? 0 : 2;
+    }
+
+    try {
+        // Decoding always uses the 48-bit layout
+        if (values.bits !== undefined && command !== 'generate') {
+            throw new InvalidConfigError('--bits is only supported by generate');
+        }
+        switch (command) {
+            case 'generate':
+                return generateCommand(values, io);
+            case 'decode':
+                return decodeCommand(ids, values, io);
+            case 'validate':
+                return await validateCommand(ids, values, io);
+            case 'convert':
+                return convertCommand(ids, values, io);
+            default:
+                io.stderr.write(`gt48: unknown command '${command}'\n\n${USAGE}\n`);
+                return 2;
+        }
+    } catch (error) {
+        if (!(error instanceof GT48Error)) {
+            throw error;
+        }
+        io.stderr.write(`gt48: ${error.message}\n`);
+        return 2;
+    }
+}
+
+// Export for programmatic usage
+module.exports = {
+    main
+};
+
+// Run when called directly
+if (require.main === module) {
+    main(process.argv.slice(2)).then((status) => {
+        process.exitCode = status;
+    });
+}
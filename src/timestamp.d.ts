@@ -9,13 +9,41 @@
  * Statistics about timestamp generation
  */
 export interface TimestampStats {
+  /** Representable time range of the layout */
+  range: RangeInfo;
   /** Last generated timestamp value */
   lastTimestamp: number;
   /** Current sequence counter for monotonic ordering */
   sequenceCounter: number;
+  /** Maximum sequence value per tick */
+  maxSequence: number;
+  /** Largest representable tick count since the epoch for this layout */
+  maxTimestamp: number;
+  /** Number of timestamps generated */
+  generatedCount: number;
+  /** Number of sequence overflows */
+  overflowCount: number;
+  /** Strategy applied on sequence overflow */
+  overflowStrategy: 'spin' | 'throw' | 'borrow-future';
+  /** Ticks issued ahead of the clock by the 'borrow-future' strategy */
+  borrowedTicks: number;
+  /** Highest tick covered by the last state save (0 without stateStore) */
+  reservedUntil: number;
+  /** Random sequence draws that hit an already issued value (monotonic: false) */
+  collisionCount: number;
+  /** Number of times the clock stepped backwards */
+  clockRegressionCount: number;
+  /** Depth of the most recent regressed clock reading in ms */
+  lastClockRegressionMs: number;
+  /** Deepest clock regression observed in ms */
+  maxClockRegressionMs: number;
+  /** Sum of all clock regression depths in ms */
+  totalClockRegressionMs: number;
+  /** Effective generator configuration */
+  config: GT48Config;
   /** Maximum possible 48-bit value */
   maxValue: number;
-  /** Epoch offset (Unix epoch = 0) */
+  /** Generator epoch in Unix milliseconds */
   epochOffset: number;
 }
 
@@ -23,33 +51,455 @@ export interface TimestampStats {
  * Configuration interface for GT48 timestamp generation
  */
 export interface GT48Config {
-  /** Output format for timestamps */
-  format?: 'base64url' | 'hex' | 'binary';
-  /** Time precision level */
+  /** Default output format ('bigint' only for 64/128-bit IDs; 'number' and 'binary' only for 48-bit) */
+  format?: OutputFormat;
+  /** Time precision level (tick unit of the timestamp field) */
   precision?: 'seconds' | 'milliseconds' | 'nanoseconds';
-  /** Enable monotonic ordering */
+  /** Enable monotonic ordering; false uses a unique random sequence per tick */
   monotonic?: boolean;
-  /** Number of bits for sequence counter (1-16) */
+  /** Number of bits for sequence counter (1-16; 1-48 for 128-bit IDs, 1-16 with monotonic: false) */
   sequenceBits?: number;
-  /** Use high-resolution time (process.hrtime.bigint()) */
+  /**
+   * Number of bits reserved for a node/worker ID (0-16, sequenceBits + nodeBits <= 24;
+   * 0-48 and sequenceBits + nodeBits <= 75 for 128-bit IDs)
+   */
+  nodeBits?: number;
+  /** Node/worker ID (0 to 2^nodeBits - 1) */
+  nodeId?: number;
+  /** Use HighResClock (hrtime anchored to wall time) when no clock is given */
   useHighResTime?: boolean;
-  /** Custom epoch offset */
-  epochOffset?: number;
+  /** Custom epoch as Unix milliseconds or Date (default: 2024-01-01T00:00:00Z) */
+  epoch?: number | Date;
+  /** Total ID width: 48 (Number, default), 64 or 128 (BigInt) */
+  bits?: 48 | 64 | 128;
+  /** Prefix Base64URL output with a layout tag (11 characters instead of 8, 18 with a non-default epoch) */
+  selfDescribing?: boolean;
+  /**
+   * Sequence overflow handling: busy-wait for the next tick ('spin', default;
+   * throws SequenceOverflowError if the clock does not advance), throw
+   * SequenceOverflowError ('throw') or issue from the next tick ahead of the
+   * clock ('borrow-future')
+   */
+  overflowStrategy?: 'spin' | 'throw' | 'borrow-future';
+  /**
+   * Handling of clock regressions beyond maxClockRegression: keep issuing
+   * from the logical clock ('continue-logical', default), throw
+   * ClockRegressionError ('throw') or wait for the clock to catch up ('wait';
+   * busy-waits in the synchronous methods, awaits in the async ones)
+   */
+  clockDriftPolicy?: 'wait' | 'throw' | 'continue-logical';
+  /** Clock regression in ms absorbed before clockDriftPolicy applies (default: 1000) */
+  maxClockRegression?: number;
+  /** Called when the clock steps backwards */
+  onClockRegression?: ((info: ClockRegressionInfo) => void) | null;
+  /** Time source returning Unix milliseconds (default: Date.now) */
+  clock?: Clock | (() => number) | null;
+  /** Warn (process warning GT48_RANGE_EXPIRING) when the range expires within this many ms; 0 disables (default: 30 days) */
+  rangeWarningHorizon?: number;
+  /** Persists state so a restarted process never reissues values, e.g. FileStateStore */
+  stateStore?: StateStore | null;
+  /** Ms of future ticks reserved per state save (default: 1000) */
+  reserveAhead?: number;
+}
+
+/**
+ * Generator state as saved by a state store
+ */
+export interface PersistedState {
+  /** State format version */
+  version: number;
+  /** Layout the state was saved with; must match the restoring generator */
+  layout: TimestampLayout;
+  /** Last issued tick at the time of the save */
+  lastTimestamp: number;
+  /** Sequence of the last issued value */
+  sequenceCounter: number;
+  /** Highest tick the saving process may issue before saving again */
+  reservedUntil: number;
+  /** Highest tick read from the clock; a restart with the clock behind it is a clock regression */
+  clockHighWater?: number;
+  generatedCount: number;
+  overflowCount: number;
+  borrowedTicks: number;
+  collisionCount: number;
+  clockRegressionCount: number;
+}
+
+/**
+ * Storage for persisted generator state (synchronous)
+ */
+export interface StateStore {
+  /** Saved state, or null if nothing was saved yet */
+  load(): PersistedState | null;
+  /** Replace the saved state */
+  save(state: PersistedState): void;
+}
+
+/**
+ * State store that keeps generator state in a JSON file, replaced atomically on each save
+ */
+export declare class FileStateStore implements StateStore {
+  /**
+   * @param path - File to keep the state in
+   * @param options - fsync: flush each save to disk before renaming (default true)
+   */
+  constructor(path: string, options?: { fsync?: boolean });
+  readonly path: string;
+  load(): PersistedState | null;
+  save(state: PersistedState): void;
+}
+
+/**
+ * Representable time range of a layout
+ */
+export interface RangeInfo {
+  /** Layout epoch */
+  epoch: Date;
+  /** Largest representable tick count since the epoch */
+  maxTimestamp: number;
+  /** Last representable instant */
+  maxDate: Date;
+  /** Total lifetime of the layout in ms */
+  totalMs: number;
+  /** Time since the epoch in ms, per the generator's clock */
+  elapsedMs: number;
+  /** Lifetime left in ms (0 once expired) */
+  remainingMs: number;
+  /** Share of the range already used (0-100) */
+  usedPercent: number;
+  /** Whether the last representable instant has passed */
+  expired: boolean;
 }
 
 /**
- * Generic timestamp type based on format
+ * Time source for generators
  */
-export type TimestampOutput<T extends GT48Config['format']> = 
-  T extends 'base64url' ? string :
-  T extends 'hex' ? string :
+export interface Clock {
+  /** Current Unix time in milliseconds (may be fractional); other readings throw InvalidConfigError */
+  now(): number;
+  /** Current Unix time in integer nanoseconds, used for 'nanoseconds' precision when present */
+  nowNs?(): bigint;
+}
+
+/**
+ * Manually controlled clock for deterministic tests and simulations
+ * 
+ * Starts frozen; unfreeze() lets it follow real time from its current value.
+ */
+export declare class ManualClock implements Clock {
+  constructor(startMs?: number);
+  /** Whether the clock is frozen */
+  readonly frozen: boolean;
+  /** Current Unix time in milliseconds */
+  now(): number;
+  /** Move the clock forward */
+  advance(ms: number): this;
+  /** Move the clock backwards */
+  rewind(ms: number): this;
+  /** Jump to an absolute time */
+  set(time: number | Date): this;
+  /** Stop the clock at its current value */
+  freeze(): this;
+  /** Let the clock follow real time from its current value */
+  unfreeze(): this;
+}
+
+/**
+ * Options for HighResClock
+ */
+export interface HighResClockOptions {
+  /** Milliseconds between re-syncs to wall time (default: 1000) */
+  resyncInterval?: number;
+  /** Wall-clock source returning Unix milliseconds (default: Date.now) */
+  wallClock?: () => number;
+}
+
+/**
+ * Hybrid clock: process.hrtime anchored to wall time, never going backwards
+ */
+export declare class HighResClock implements Clock {
+  constructor(options?: HighResClockOptions);
+  /** Number of re-syncs to wall time so far */
+  readonly resyncCount: number;
+  /** Current Unix time in milliseconds with sub-millisecond fraction */
+  now(): number;
+  /** Current Unix time in integer nanoseconds */
+  nowNs(): bigint;
+}
+
+/**
+ * Details passed to the onClockRegression hook
+ */
+export interface ClockRegressionInfo {
+  /** Distance behind the highest clock reading in ms */
+  regressionMs: number;
+  /** Current clock reading in ticks since the epoch */
+  currentTimestamp: number;
+  /** Last issued timestamp in ticks since the epoch */
+  lastTimestamp: number;
+  /** Policy applied, or 'tolerated' when within maxClockRegression */
+  policy: 'wait' | 'throw' | 'continue-logical' | 'tolerated';
+}
+
+/**
+ * Output formats for generated timestamps
+ */
+export type OutputFormat = 'base64url' | 'hex' | 'number' | 'binary' | 'bigint' | SortableFormat | AlphabetFormat;
+
+/**
+ * Lexicographically sortable fixed-width string formats for 48-bit IDs
+ */
+export type SortableFormat = 'base32' | 'base64sort' | 'base62' | 'base36';
+
+/**
+ * Name of an alphabet added with registerAlphabet() (keeps literal completions)
+ */
+export type AlphabetFormat = string & {};
+
+/**
+ * Generic timestamp type based on format (undefined means the 'base64url' default)
+ */
+export type TimestampOutput<T extends OutputFormat | undefined> = 
+  T extends 'number' ? number :
   T extends 'binary' ? Uint8Array :
+  T extends 'bigint' ? bigint :
   string;
 
+/**
+ * Format a configuration generates by default ('base64url' unless `format` is set)
+ */
+export type ConfiguredFormat<TConfig> =
+  TConfig extends { format: infer F } ? (F extends OutputFormat ? F : 'base64url') : 'base64url';
+
+/**
+ * An ID in any output format: encoded string, raw number or BigInt, or
+ * big-endian bytes (6 for 48-bit layouts, 8 or 16 for 64/128-bit layouts)
+ */
+export type ComparableID = string | number | bigint | Uint8Array;
+
+/**
+ * Options accepted by the functional API
+ */
+export interface GeneratorOptions {
+  /** Generator whose state and layout should be used */
+  generator?: TimestampGenerator;
+}
+
+/**
+ * Options for reading encoded IDs
+ */
+export interface DecodeOptions extends GeneratorOptions {
+  /** Format of string IDs (default: the generator's format, else 'base64url') */
+  format?: OutputFormat;
+}
+
+/**
+ * Layout fields of a raw value
+ */
+export interface RawFields {
+  /** Ticks since the epoch in the configured precision */
+  timestamp: number;
+  /** Node/worker ID */
+  nodeId: number;
+  /** Sequence counter */
+  sequence: number;
+}
+
+/**
+ * Bit layout of a generator's raw values
+ */
+export interface TimestampLayout {
+  /** Total ID width */
+  bits: 48 | 64 | 128;
+  /** Tick unit of the timestamp field */
+  precision: 'seconds' | 'milliseconds' | 'nanoseconds';
+  /** Epoch in Unix milliseconds */
+  epoch: number;
+  /** Bits used by the timestamp field */
+  timestampBits: number;
+  /** Bits used by the node ID field */
+  nodeBits: number;
+  /** Bits used by the sequence field */
+  sequenceBits: number;
+}
+
+/**
+ * Structured result of parsing an encoded timestamp
+ */
+export interface ParsedTimestamp extends RawFields {
+  /** Unix time in milliseconds */
+  unixMs: number;
+  /** Date for the timestamp field */
+  date: Date;
+  /** Raw 48-bit value */
+  raw: number;
+  /** Layout used to split the raw value */
+  layout: TimestampLayout;
+}
+
+/**
+ * Structured result of parsing a 64- or 128-bit ID
+ */
+export interface ParsedWideTimestamp extends Omit<ParsedTimestamp, 'raw'> {
+  /** Raw 64- or 128-bit value */
+  raw: bigint;
+}
+
+/**
+ * Fields extracted from a UUIDv7
+ */
+export interface ParsedUUIDv7 {
+  /** Unix time in milliseconds */
+  unixMs: number;
+  /** Date for the timestamp field */
+  date: Date;
+  /** 12-bit rand_a counter */
+  counter: number;
+}
+
+/**
+ * Structured result of parsing a ULID
+ */
+export interface ParsedULID {
+  /** Unix time in milliseconds */
+  unixMs: number;
+  /** Date for the time component */
+  date: Date;
+  /** 80-bit random component (10 bytes) */
+  random: Uint8Array;
+}
+
+/**
+ * Stateful timestamp generator
+ */
+export declare class TimestampGenerator {
+  constructor(config?: GT48Config);
+
+  /** Effective configuration */
+  readonly config: GT48Config;
+  /** Largest representable tick count since the epoch */
+  readonly maxTimestamp: number;
+  /** Epoch in Unix milliseconds */
+  readonly epoch: number;
+  /** Bit layout of generated values */
+  readonly layout: TimestampLayout;
+
+  /**
+   * Generate the next ID in the given or configured format
+   * @param format - Output format (defaults to `config.format`)
+   * @returns Encoded ID
+   */
+  generate(): string | number | bigint | Uint8Array;
+  generate<F extends OutputFormat>(format: F): TimestampOutput<F>;
+
+  /**
+   * Generate raw 48-bit value (ticks and sequence combined)
+   * @returns Raw 48-bit value
+   */
+  generateRaw(): number;
+
+  /**
+   * Generate raw value, awaiting the next tick instead of busy-waiting on overflow
+   * @returns Raw 48-bit value
+   */
+  generateRawAsync(): Promise<number>;
+
+  /**
+   * Generate many raw values, reserving each tick's remaining sequence range per clock read
+   * @param count - Number of values
+   * @returns Raw 48-bit values in generation order
+   */
+  generateRawBatch(count: number): Float64Array;
+
+  /**
+   * Generate the next ID as a BigInt (the only raw form for 64/128-bit layouts)
+   * @returns Raw ID of `config.bits` bits
+   */
+  generateBigInt(): bigint;
+
+  /**
+   * Generate the next ID as a BigInt, awaiting the next tick instead of busy-waiting
+   * @returns Raw ID of `config.bits` bits
+   */
+  generateBigIntAsync(): Promise<bigint>;
+
+  /**
+   * Split a raw value into its layout fields
+   * @param raw - Raw value produced with this generator's layout (BigInt for any width)
+   * @returns Timestamp ticks, node ID and sequence
+   */
+  decomposeRaw(raw: number | bigint): RawFields;
+
+  /**
+   * Get generation statistics
+   * @returns Statistics object
+   */
+  getStats(): TimestampStats;
+
+  /**
+   * Get the representable time range of this layout
+   * @returns Max date, remaining lifetime and usage
+   */
+  getRangeInfo(): RangeInfo;
+
+  /**
+   * Save the exact current state to the configured store (e.g. on shutdown)
+   * @returns Saved state
+   * @throws {InvalidConfigError} If no stateStore is configured
+   */
+  saveState(): PersistedState;
+
+  /**
+   * Reset generation state and counters as if the generator were new
+   * (values issued before can be issued again if the clock has not moved past them)
+   */
+  reset(): void;
+
+  /**
+   * Capture the exact generation state
+   * @returns Snapshot for restore() on a generator with the same layout and mode
+   */
+  snapshot(): GeneratorSnapshot;
+
+  /**
+   * Reinstate state captured with snapshot()
+   * @param snapshot - Snapshot from a generator with the same layout and mode
+   * @throws {InvalidConfigError} If the snapshot is malformed or from a different layout or mode
+   */
+  restore(snapshot: GeneratorSnapshot): void;
+}
+
+/**
+ * Exact generator state from TimestampGenerator#snapshot()
+ */
+export interface GeneratorSnapshot {
+  layout: TimestampLayout;
+  lastTimestamp: number;
+  sequenceCounter: number;
+  waitTarget: number;
+  clockHighWater: number;
+  inClockRegression: boolean;
+  generatedCount: number;
+  overflowCount: number;
+  borrowedTicks: number;
+  collisionCount: number;
+  clockRegressionCount: number;
+  lastClockRegressionMs: number;
+  maxClockRegressionMs: number;
+  totalClockRegressionMs: number;
+  uuidTimestamp: number;
+  uuidCounter: number;
+  ulidTimestamp: number;
+  ulidRandom: Uint8Array;
+  /** Random-sequence mode slots (null in monotonic mode) */
+  sequenceSlots: Uint32Array | null;
+  sequenceGeneration: number;
+}
+
 /**
  * Builder class for GT48 configuration
  */
-export declare class GT48Builder {
+export declare class GT48Builder<TFormat extends OutputFormat = 'base64url'> {
   constructor();
   
   /**
@@ -57,41 +507,113 @@ export declare class GT48Builder {
    * @param precision - 'seconds', 'milliseconds', or 'nanoseconds'
    * @returns Builder instance for chaining
    */
-  precision<T extends GT48Config['precision']>(precision: T): GT48Builder;
+  precision<T extends GT48Config['precision']>(precision: T): this;
   
   /**
-   * Set output format
-   * @param format - 'base64url', 'hex', or 'binary'
+   * Set default output format
+   * @param format - 'base64url', 'hex', 'binary' or 'number' ('bigint' for 64/128-bit IDs)
    * @returns Builder instance for chaining
    */
-  format<T extends GT48Config['format']>(format: T): GT48Builder;
+  format<F extends OutputFormat>(format: F): GT48Builder<F>;
   
   /**
    * Enable or disable monotonic ordering
    * @param monotonic - Enable monotonic ordering
    * @returns Builder instance for chaining
    */
-  monotonic(monotonic?: boolean): GT48Builder;
+  monotonic(monotonic?: boolean): this;
   
   /**
    * Set sequence bits count
-   * @param bits - Number of bits for sequence counter (1-16)
+   * @param bits - Number of bits for sequence counter (1-16, up to 48 for 128-bit IDs)
    * @returns Builder instance for chaining
    */
-  sequenceBits(bits: number): GT48Builder;
+  sequenceBits(bits: number): this;
+  
+  /**
+   * Reserve node/worker ID bits for distributed generation
+   * @param bits - Number of bits for the node ID (0-16, up to 48 for 128-bit IDs)
+   * @returns Builder instance for chaining
+   */
+  nodeBits(bits: number): this;
+  
+  /**
+   * Set node/worker ID
+   * @param id - Node ID (0 to 2^nodeBits - 1)
+   * @returns Builder instance for chaining
+   */
+  nodeId(id: number): this;
   
   /**
    * Enable high-resolution time
-   * @param enabled - Use process.hrtime.bigint()
+   * @param enabled - Use HighResClock (hrtime anchored to wall time)
+   * @returns Builder instance for chaining
+   */
+  highResTime(enabled?: boolean): this;
+  
+  /**
+   * Set sequence overflow strategy
+   * @param strategy - 'spin', 'throw', or 'borrow-future'
    * @returns Builder instance for chaining
    */
-  highResTime(enabled?: boolean): GT48Builder;
+  overflowStrategy(strategy: GT48Config['overflowStrategy']): this;
+  
+  /**
+   * Set clock regression policy
+   * @param policy - 'wait', 'throw', or 'continue-logical'
+   * @param maxRegression - Regression in ms absorbed before the policy applies
+   * @returns Builder instance for chaining
+   */
+  clockDriftPolicy(policy: GT48Config['clockDriftPolicy'], maxRegression?: number): this;
+  
+  /**
+   * Set time source
+   * @param clock - Function or object returning Unix milliseconds
+   * @returns Builder instance for chaining
+   */
+  clock(clock: Clock | (() => number)): this;
+  
+  /**
+   * Prefix Base64URL output with a layout tag
+   * @param enabled - Emit self-describing timestamps
+   * @returns Builder instance for chaining
+   */
+  selfDescribing(enabled?: boolean): this;
+  
+  /**
+   * Set custom epoch
+   * @param epoch - Epoch as Unix milliseconds or Date
+   * @returns Builder instance for chaining
+   */
+  epoch(epoch: number | Date): this;
+  
+  /**
+   * Set total ID width
+   * @param bits - 48 (Number), 64 or 128 (BigInt)
+   * @returns Builder instance for chaining
+   */
+  bits(bits: 48 | 64 | 128): this;
+  
+  /**
+   * Set how early to warn about range exhaustion
+   * @param horizonMs - Warn when the range expires within this many ms (0 disables)
+   * @returns Builder instance for chaining
+   */
+  rangeWarningHorizon(horizonMs: number): this;
+
+  /**
+   * Persist generator state across restarts
+   * @param store - State store, e.g. FileStateStore
+   * @param reserveAhead - Ms of future ticks reserved per save
+   * @returns Builder instance for chaining
+   */
+  stateStore(store: StateStore, reserveAhead?: number): this;
   
   /**
    * Build GT48 instance with configured options
    * @returns Configured GT48 instance
    */
-  build(): GT48;
+  build(): GT48<GT48Config & { format: TFormat }>;
 }
 
 /**
@@ -104,40 +626,178 @@ export declare class GT48<TConfig extends GT48Config = GT48Config> {
    * Generate timestamp with configured format
    * @returns Timestamp in configured format
    */
-  generate(): TimestampOutput<TConfig['format']>;
+  generate(): TimestampOutput<ConfiguredFormat<TConfig>>;
+  /**
+   * Generate timestamp in a specific format
+   * @param format - Output format overriding the configured one
+   * @returns Timestamp in the requested format
+   */
+  generate<F extends OutputFormat>(format: F): TimestampOutput<F>;
   
   /**
-   * Generate raw timestamp as number
-   * @returns Raw 48-bit timestamp
+   * Generate timestamp without busy-waiting on sequence overflow
+   * @param format - Output format (default: configured format)
+   * @returns Timestamp in the requested format
    */
-  generateRaw(): number;
+  generateAsync(): Promise<TimestampOutput<ConfiguredFormat<TConfig>>>;
+  generateAsync<F extends OutputFormat>(format: F): Promise<TimestampOutput<F>>;
+  
+  /**
+   * Generate many timestamps in one call
+   * @param count - Number of timestamps
+   * @param format - Output format
+   * @returns Encoded timestamps, or raw values for 'number'
+   */
+  generateBatch(count: number): ConfiguredFormat<TConfig> extends 'number' ? Float64Array : Array<TimestampOutput<ConfiguredFormat<TConfig>>>;
+  generateBatch(count: number, format: 'base64url' | 'hex' | SortableFormat): string[];
+  generateBatch(count: number, format: 'number'): Float64Array;
+  generateBatch(count: number, format: 'binary'): Uint8Array[];
+  generateBatch(count: number, format: 'bigint'): bigint[];
+  generateBatch(count: number, format: AlphabetFormat): string[];
+  
+  /**
+   * Generate several timestamps without busy-waiting on sequence overflow
+   * @param count - Number of timestamps
+   * @param format - Output format
+   * @returns Timestamps in generation order
+   */
+  generateBatchAsync(count: number): Promise<Array<TimestampOutput<ConfiguredFormat<TConfig>>>>;
+  generateBatchAsync<F extends OutputFormat>(count: number, format: F): Promise<Array<TimestampOutput<F>>>;
+  
+  /**
+   * Generate raw timestamp
+   * @returns Raw 48-bit timestamp, or BigInt for 64/128-bit layouts
+   */
+  generateRaw(): number | bigint;
   
   /**
    * Decode timestamp from string
    * @param encoded - Encoded timestamp string
-   * @returns Raw timestamp number
+   * @param format - Format of string timestamps (default: configured format)
+   * @returns Raw timestamp number (BigInt for 64/128-bit layouts)
    */
-  decode(encoded: string): number;
+  decode(encoded: string | number | Uint8Array, format?: OutputFormat): number | bigint;
+  
+  /**
+   * Parse encoded timestamp into its fields using this instance's layout
+   * @param encoded - Encoded timestamp, or raw value (BigInt for 64/128-bit layouts)
+   * @param format - Format of string timestamps (default: configured format)
+   * @returns Parsed fields (ParsedWideTimestamp for 64/128-bit layouts)
+   */
+  parse(encoded: string | number | bigint | Uint8Array, format?: OutputFormat): ParsedTimestamp | ParsedWideTimestamp;
+  
+  /**
+   * Generate RFC 9562 UUIDv7 using this instance's time source
+   * @returns UUIDv7 string
+   */
+  uuidv7(): string;
+  
+  /**
+   * Parse UUIDv7 string
+   * @param uuid - UUIDv7 string
+   * @returns Parsed fields
+   */
+  parseUUIDv7(uuid: string): ParsedUUIDv7;
+  
+  /**
+   * Generate ULID using this instance's time source
+   * @returns 26-character ULID
+   */
+  ulid(): string;
+  
+  /**
+   * Parse ULID string
+   * @param ulid - ULID string
+   * @returns Parsed fields
+   */
+  parseULID(ulid: string): ParsedULID;
   
   /**
    * Convert timestamp to Date
-   * @param timestamp - Timestamp string or number
+   * @param timestamp - Timestamp string, number, or BigInt for 64/128-bit layouts
+   * @param format - Format of string timestamps (default: configured format)
    * @returns Date object
    */
-  toDate(timestamp: string | number): Date;
+  toDate(timestamp: string | number | bigint | Uint8Array, format?: OutputFormat): Date;
+  
+  /**
+   * Get the smallest ID this layout allows at an instant (node ID and sequence zero)
+   * @param date - Instant as a Date or Unix milliseconds
+   * @returns Lower bound in the configured format
+   */
+  lowerBound(date: Date | number): TimestampOutput<ConfiguredFormat<TConfig>>;
+  lowerBound<F extends OutputFormat>(date: Date | number, format: F): TimestampOutput<F>;
+  
+  /**
+   * Get the largest ID this layout allows at an instant (all node and sequence bits set)
+   * @param date - Instant as a Date or Unix milliseconds
+   * @returns Upper bound in the configured format
+   */
+  upperBound(date: Date | number): TimestampOutput<ConfiguredFormat<TConfig>>;
+  upperBound<F extends OutputFormat>(date: Date | number, format: F): TimestampOutput<F>;
+  
+  /**
+   * Compare two IDs in generation order (strings are read in the configured format)
+   * @param format - Format of string IDs (default: configured format)
+   * @returns -1 if a sorts first, 1 if b does, 0 if equal
+   */
+  compare(a: ComparableID, b: ComparableID, format?: OutputFormat): -1 | 0 | 1;
+  
+  /**
+   * Sort IDs in generation order
+   * @param ids - IDs (left unchanged)
+   * @param format - Format of string IDs (default: configured format)
+   * @returns Sorted copy of the same type
+   */
+  sort<T extends ComparableID>(ids: readonly T[], format?: OutputFormat): T[];
+  sort(ids: Float64Array, format?: OutputFormat): Float64Array;
+  
+  /** Check whether a was generated before b */
+  isBefore(a: ComparableID, b: ComparableID, format?: OutputFormat): boolean;
+  
+  /** Check whether a was generated after b */
+  isAfter(a: ComparableID, b: ComparableID, format?: OutputFormat): boolean;
+  
+  /**
+   * Get the time between two IDs
+   * @returns Milliseconds from b to a (negative if a is earlier)
+   */
+  diff(a: ComparableID, b: ComparableID, format?: OutputFormat): number;
+  
+  /** Get the most recently generated ID (undefined for an empty list) */
+  max<T extends ComparableID>(ids: readonly T[], format?: OutputFormat): T | undefined;
+  max(ids: Float64Array, format?: OutputFormat): number | undefined;
+  
+  /** Get the earliest generated ID (undefined for an empty list) */
+  min<T extends ComparableID>(ids: readonly T[], format?: OutputFormat): T | undefined;
+  min(ids: Float64Array, format?: OutputFormat): number | undefined;
   
   /**
    * Validate timestamp format
    * @param encoded - Encoded timestamp to validate
+   * @param format - Format of string timestamps (default: configured format)
    * @returns True if valid
    */
-  isValid(encoded: string): boolean;
+  isValid(encoded: string | number | Uint8Array, format?: OutputFormat): boolean;
   
   /**
    * Get generation statistics
    * @returns Statistics object
    */
   getStats(): TimestampStats;
+
+  /**
+   * Get the representable time range of this layout
+   * @returns Max date, remaining lifetime and usage
+   */
+  getRangeInfo(): RangeInfo;
+
+  /**
+   * Save the exact current state to the configured store (e.g. on shutdown)
+   * @returns Saved state
+   * @throws {InvalidConfigError} If no stateStore is configured
+   */
+  saveState(): PersistedState;
   
   /**
    * Static method to create new instance
@@ -159,14 +819,61 @@ export declare class GT48<TConfig extends GT48Config = GT48Config> {
  * Returns a UUIDv7-compatible timestamp encoded as Base64URL string.
  * Guarantees monotonic ordering and handles edge cases gracefully.
  * 
- * @returns Base64URL encoded 48-bit timestamp (8 characters)
+ * @param options - Optional generator and output format
+ * @returns Base64URL encoded 48-bit timestamp (8 characters) unless another format is requested
  * @example
  * ```typescript
  * const timestamp = generateTimestamp48();
  * console.log(timestamp); // "AQEBAQEB" (example)
+ * 
+ * // 6-byte big-endian key that sorts in generation order
+ * const key = generateTimestamp48({ format: 'binary' });
  * ```
  */
 export function generateTimestamp48(): string;
+export function generateTimestamp48(options: GeneratorOptions & { format: 'base64url' | 'hex' | SortableFormat }): string;
+export function generateTimestamp48(options: GeneratorOptions & { format: 'number' }): number;
+export function generateTimestamp48(options: GeneratorOptions & { format: 'binary' }): Uint8Array;
+export function generateTimestamp48(options: GeneratorOptions & { format: AlphabetFormat }): string;
+/** Without `format`, the generator's configured format is used */
+export function generateTimestamp48(options: GeneratorOptions): string | number | Uint8Array;
+
+/**
+ * Async variant of generateTimestamp48 that never busy-waits
+ * 
+ * @param options - Optional generator and output format
+ * @returns Encoded 48-bit timestamp
+ */
+export function generateTimestamp48Async(
+  options?: GeneratorOptions & { format?: Exclude<OutputFormat, 'bigint'> }
+): Promise<string | number | Uint8Array>;
+
+/**
+ * Generate many 48-bit timestamps in one call
+ * 
+ * Options are validated once and sequence values are reserved in contiguous
+ * ranges per clock read; ordering continues across batches.
+ * 
+ * @param count - Number of timestamps
+ * @param options - Optional generator and output format
+ * @returns Encoded timestamps, or raw values for 'number'
+ */
+export function generateTimestamps48(
+  count: number,
+  options?: GeneratorOptions & { format?: 'base64url' | 'hex' | SortableFormat }
+): string[];
+export function generateTimestamps48(
+  count: number,
+  options: GeneratorOptions & { format: 'number' }
+): Float64Array;
+export function generateTimestamps48(
+  count: number,
+  options: GeneratorOptions & { format: 'binary' }
+): Uint8Array[];
+export function generateTimestamps48(
+  count: number,
+  options: GeneratorOptions & { format: AlphabetFormat }
+): string[];
 
 /**
  * Generate raw 48-bit timestamp as integer
@@ -181,12 +888,13 @@ export function generateTimestamp48(): string;
  * console.log(rawTimestamp); // 1704067200000 (example)
  * ```
  */
-export function generateRawTimestamp(): number;
+export function generateRawTimestamp(options?: GeneratorOptions): number;
 
 /**
  * Decode Base64URL string back to 48-bit timestamp
  * 
- * @param encoded - Base64URL encoded timestamp (must be 8 characters)
+ * @param encoded - Base64URL encoded timestamp (8 characters, or 11/18 with a layout tag)
+ * @param options - Format of string IDs ('hex' or an alphabet name), or a generator whose format to use
  * @returns 48-bit timestamp as integer
  * @throws {Error} If the encoded string is invalid
  * @example
@@ -195,12 +903,177 @@ export function generateRawTimestamp(): number;
  * console.log(decoded); // 1108152157446
  * ```
  */
-export function decodeTimestamp48(encoded: string): number;
+export function decodeTimestamp48(encoded: string | number | Uint8Array, options?: DecodeOptions): number;
+
+/** Crockford Base32 encoding (ULID alphabet), 10 sortable characters */
+export function encodeBase32(value: number): string;
+/** Decode Crockford Base32 (case-insensitive; I/L read as 1, O as 0) */
+export function decodeBase32(encoded: string): number;
+/** Validate a Crockford Base32 timestamp */
+export function isValidBase32(encoded: string): boolean;
+
+/** Sortable Base64 encoding (Base64URL characters in ASCII order), 8 characters */
+export function encodeSortableBase64(value: number): string;
+/** Decode sortable Base64 */
+export function decodeSortableBase64(encoded: string): number;
+/** Validate a sortable Base64 timestamp */
+export function isValidSortableBase64(encoded: string): boolean;
+
+/** Base62 encoding, 9 sortable characters */
+export function encodeBase62(value: number): string;
+/** Decode Base62 */
+export function decodeBase62(encoded: string): number;
+/** Validate a Base62 timestamp */
+export function isValidBase62(encoded: string): boolean;
+
+/** Base36 encoding, 10 sortable lower-case characters */
+export function encodeBase36(value: number): string;
+/** Decode Base36 (case-insensitive) */
+export function decodeBase36(encoded: string): number;
+/** Validate a Base36 timestamp */
+export function isValidBase36(encoded: string): boolean;
+
+/**
+ * Options for a custom alphabet
+ */
+export interface AlphabetOptions {
+  /** Also accept the other letter case when decoding */
+  caseInsensitive?: boolean;
+  /** Extra characters accepted when decoding, mapped to alphabet characters */
+  aliases?: Record<string, string>;
+}
+
+/**
+ * A registered alphabet
+ */
+export interface AlphabetInfo {
+  /** Format name */
+  readonly name: string;
+  /** Digits in ascending value order */
+  readonly alphabet: string;
+  /** Number of digits */
+  readonly radix: number;
+  /** Fixed output width that holds every 48-bit value */
+  readonly length: number;
+}
+
+/**
+ * Register a custom alphabet as a named output format
+ * 
+ * @param name - Format name, usable wherever an output format is accepted
+ * @param alphabet - Unique ASCII digits in ascending value order
+ * @param options - Decoding options
+ * @returns The registered alphabet
+ * @throws {InvalidConfigError} If the name is taken or the alphabet has duplicates
+ * @example
+ * ```typescript
+ * // Base32 without the confusable 0/O and 1/I/L
+ * registerAlphabet('nolookalike', '23456789ABCDEFGHJKMNPQRSTUVWXYZ');
+ * const id = generateTimestamp48({ format: 'nolookalike' });
+ * ```
+ */
+export function registerAlphabet(name: string, alphabet: string, options?: AlphabetOptions): AlphabetInfo;
+/** Look up a registered alphabet (built-in sortable formats included) */
+export function getAlphabet(name: string): AlphabetInfo | null;
+/** Encode a 48-bit integer with a registered alphabet */
+export function encodeWithAlphabet(value: number, name: string): string;
+/** Decode a string encoded with a registered alphabet */
+export function decodeWithAlphabet(encoded: string, name: string): number;
+/** Validate a string encoded with a registered alphabet */
+export function isValidWithAlphabet(encoded: string, name: string): boolean;
+
+/**
+ * Binary encoding for 48-bit integers
+ * 
+ * @param value - 48-bit integer to encode
+ * @returns 6-byte big-endian array (byte order matches numeric order)
+ */
+export function encodeBinary48(value: number): Uint8Array;
+
+/**
+ * Base64URL encoding prefixed with a 3-character layout tag
+ * 
+ * The tag records sequence bits, node bits and precision; a non-default
+ * epoch follows the tag in 7 more characters.
+ * 
+ * @param value - 48-bit integer to encode
+ * @param layout - Layout to record in the tag
+ * @returns Tagged Base64URL string (11 characters, or 18 with an epoch)
+ * @throws {TimestampRangeError} If the epoch is too large to record
+ */
+export function encodeTaggedBase64URL48(
+  value: number,
+  layout: Pick<TimestampLayout, 'precision' | 'nodeBits' | 'sequenceBits'> & Partial<Pick<TimestampLayout, 'epoch'>>
+): string;
+
+/**
+ * Read the layout tag of a self-describing encoded timestamp
+ * 
+ * @param encoded - Encoded timestamp
+ * @returns Layout, or null for untagged values
+ * @throws {InvalidEncodingError} If the tag is malformed
+ */
+export function decodeLayoutTag(encoded: string): TimestampLayout | null;
+
+/**
+ * Generate a 64-bit (Snowflake-sized) ID
+ * @param options - Optional generator (with `bits: 64`) and output format
+ * @returns 11-character Base64URL, 16-digit hex or BigInt
+ */
+export function generateTimestamp64(options?: GeneratorOptions & { format?: 'base64url' | 'hex' }): string;
+export function generateTimestamp64(options: GeneratorOptions & { format: 'bigint' }): bigint;
+
+/**
+ * Generate a 128-bit ID
+ * @param options - Optional generator (with `bits: 128`) and output format
+ * @returns 22-character Base64URL, 32-digit hex or BigInt
+ */
+export function generateTimestamp128(options?: GeneratorOptions & { format?: 'base64url' | 'hex' }): string;
+export function generateTimestamp128(options: GeneratorOptions & { format: 'bigint' }): bigint;
+
+/** Base64URL encoding for 64-bit BigInts (11 characters) */
+export function encodeBase64URL64(value: bigint): string;
+
+/** Base64URL encoding for 128-bit BigInts (22 characters) */
+export function encodeBase64URL128(value: bigint): string;
+
+/** Decode an 11-character Base64URL string to a 64-bit BigInt */
+export function decodeTimestamp64(encoded: string): bigint;
+
+/** Decode a 22-character Base64URL string to a 128-bit BigInt */
+export function decodeTimestamp128(encoded: string): bigint;
+
+/** Get a 64-bit ID as Date, using the layout of `options.generator` */
+export function timestamp64ToDate(value: string | bigint, options?: GeneratorOptions): Date;
+
+/** Get a 128-bit ID as Date, using the layout of `options.generator` */
+export function timestamp128ToDate(value: string | bigint, options?: GeneratorOptions): Date;
+
+/**
+ * Parse an encoded timestamp into its layout fields
+ * 
+ * Uses the layout, precision and epoch of `options.generator`
+ * (the default generator if omitted). Self-describing values use the
+ * layout and epoch from their tag.
+ * 
+ * @param encoded - Base64URL encoded timestamp or raw 48-bit value
+ * @param options - Optional generator to interpret the value with
+ * @returns Parsed fields
+ * @example
+ * ```typescript
+ * const { date, sequence, nodeId } = parseTimestamp48(id, { generator });
+ * ```
+ */
+export function parseTimestamp48(encoded: string | number | Uint8Array, options?: DecodeOptions): ParsedTimestamp;
 
 /**
  * Convert timestamp to Date object
  * 
+ * Encoded strings are interpreted with the layout and precision of
+ * `options.generator` (the default generator if omitted).
+ * 
  * @param timestamp - Encoded timestamp string or raw timestamp number
+ * @param options - Optional generator to interpret the value with
  * @returns Date object representing the timestamp
  * @example
  * ```typescript
@@ -209,7 +1082,7 @@ export function decodeTimestamp48(encoded: string): number;
  * console.log(date1.toISOString());
  * ```
  */
-export function timestampToDate(timestamp: string | number): Date;
+export function timestampToDate(timestamp: string | number | Uint8Array, options?: DecodeOptions): Date;
 
 /**
  * Validate timestamp format and value
@@ -225,7 +1098,7 @@ export function timestampToDate(timestamp: string | number): Date;
  * console.log(isInvalid); // false
  * ```
  */
-export function isValidTimestamp(encoded: string): boolean;
+export function isValidTimestamp(encoded: string | number | Uint8Array, options?: DecodeOptions): boolean;
 
 /**
  * Get current timestamp generation statistics
@@ -237,7 +1110,218 @@ export function isValidTimestamp(encoded: string): boolean;
  * console.log(`Last: ${stats.lastTimestamp}, Seq: ${stats.sequenceCounter}`);
  * ```
  */
-export function getTimestampStats(): TimestampStats;
+export function getTimestampStats(options?: GeneratorOptions): TimestampStats;
+
+/**
+ * Generate RFC 9562 UUIDv7 string
+ * 
+ * The 48-bit Unix millisecond timestamp comes from the generator's time
+ * source; rand_a is a monotonic 12-bit counter and rand_b is random.
+ * 
+ * @param options - Optional generator providing time source and counter state
+ * @returns UUIDv7 in 8-4-4-4-12 hex form
+ * @throws {ClockRegressionError} On clock regression with the 'throw' policy
+ * @example
+ * ```typescript
+ * const id = generateUUIDv7(); // "0192e4c5-7a1b-7c3d-9e4f-0a1b2c3d4e5f"
+ * ```
+ */
+export function generateUUIDv7(options?: GeneratorOptions): string;
+
+/**
+ * Parse a UUIDv7 string
+ * 
+ * @param uuid - UUIDv7 in 8-4-4-4-12 hex form
+ * @returns Parsed fields
+ * @throws {InvalidEncodingError} If the string is not a UUIDv7
+ */
+export function parseUUIDv7(uuid: string): ParsedUUIDv7;
+
+/**
+ * Generate ULID string
+ * 
+ * 48-bit Unix ms from the generator's time source plus 80 random bits,
+ * incremented within the same millisecond so ULIDs stay strictly increasing.
+ * 
+ * @param options - Optional generator
+ * @returns 26-character Crockford Base32 ULID
+ * @throws {SequenceOverflowError} If the random part overflows within a millisecond
+ * @throws {ClockRegressionError} On clock regression with the 'throw' policy
+ */
+export function generateULID(options?: GeneratorOptions): string;
+
+/**
+ * Parse a ULID string (case-insensitive)
+ * @throws {InvalidEncodingError} If the ULID is invalid
+ */
+export function parseULID(ulid: string): ParsedULID;
+
+/** Validate ULID format */
+export function isValidULID(ulid: string): boolean;
+
+/** Convert a UUIDv7 to a ULID (lossless) */
+export function uuidv7ToULID(uuid: string): string;
+
+/** Convert a ULID to a UUIDv7 (6 random bits become version/variant) */
+export function ulidToUUIDv7(ulid: string): string;
+
+/**
+ * Convert a ULID to a gt48 timestamp in the generator's format
+ * 
+ * Only the time survives: the result is the first value of the tick
+ * (generator's node ID, sequence zero).
+ */
+export function ulidToTimestamp(ulid: string, options?: GeneratorOptions): string | number | Uint8Array;
+
+/** Convert a UUIDv7 to a gt48 timestamp in the generator's format (time only) */
+export function uuidv7ToTimestamp(uuid: string, options?: GeneratorOptions): string | number | Uint8Array;
+
+/** Convert a gt48 timestamp to a ULID with the same millisecond and fresh randomness */
+export function timestampToULID(timestamp: string | number | Uint8Array, options?: GeneratorOptions): string;
+
+/** Convert a gt48 timestamp to a UUIDv7 with the same millisecond and fresh randomness */
+export function timestampToUUIDv7(timestamp: string | number | Uint8Array, options?: GeneratorOptions): string;
+
+/**
+ * Smallest ID the generator's layout allows at an instant (node ID and sequence zero)
+ * 
+ * With upperBoundTimestamp(), turns a time window into a primary-key range.
+ * 
+ * @throws {TimestampRangeError} If the instant is outside the layout's range
+ */
+export function lowerBoundTimestamp<F extends OutputFormat = 'base64url'>(
+  date: Date | number,
+  options?: GeneratorOptions & { format?: F }
+): TimestampOutput<F>;
+
+/**
+ * Largest ID the generator's layout allows at an instant (all node and
+ * sequence bits set; last tick of the millisecond for sub-millisecond precision)
+ * 
+ * @throws {TimestampRangeError} If the instant is outside the layout's range
+ */
+export function upperBoundTimestamp<F extends OutputFormat = 'base64url'>(
+  date: Date | number,
+  options?: GeneratorOptions & { format?: F }
+): TimestampOutput<F>;
+
+/**
+ * Options for comparing IDs
+ */
+export interface ComparisonOptions extends GeneratorOptions {
+  /** Format of string IDs (default: the generator's format) */
+  format?: OutputFormat;
+}
+
+/**
+ * Compare two IDs in generation order
+ * 
+ * Plain Base64URL strings are compared by decoded character without
+ * allocating; other formats are decoded.
+ * 
+ * @returns -1 if a sorts first, 1 if b does, 0 if equal
+ * @throws {InvalidEncodingError} If either ID does not decode
+ */
+export function compareTimestamps(a: ComparableID, b: ComparableID, options?: ComparisonOptions): -1 | 0 | 1;
+
+/** Sort IDs in generation order, returning a sorted copy of the same type */
+export function sortTimestamps<T extends ComparableID>(ids: readonly T[], options?: ComparisonOptions): T[];
+export function sortTimestamps(ids: Float64Array, options?: ComparisonOptions): Float64Array;
+
+/** Check whether a was generated before b */
+export function isTimestampBefore(a: ComparableID, b: ComparableID, options?: ComparisonOptions): boolean;
+
+/** Check whether a was generated after b */
+export function isTimestampAfter(a: ComparableID, b: ComparableID, options?: ComparisonOptions): boolean;
+
+/** Milliseconds from b to a using the generator's layout (negative if a is earlier) */
+export function diffTimestamps(a: ComparableID, b: ComparableID, options?: ComparisonOptions): number;
+
+/** Most recently generated ID, or undefined for an empty list */
+export function latestTimestamp<T extends ComparableID>(ids: readonly T[], options?: ComparisonOptions): T | undefined;
+export function latestTimestamp(ids: Float64Array, options?: ComparisonOptions): number | undefined;
+
+/** Earliest generated ID, or undefined for an empty list */
+export function earliestTimestamp<T extends ComparableID>(ids: readonly T[], options?: ComparisonOptions): T | undefined;
+export function earliestTimestamp(ids: Float64Array, options?: ComparisonOptions): number | undefined;
+
+/**
+ * Create a new timestamp generator with custom configuration
+ * 
+ * @param config - Generator configuration
+ * @returns New generator instance
+ */
+export function createGenerator(config?: GT48Config): TimestampGenerator;
+
+/**
+ * Configuration for SharedTimestampGenerator
+ */
+export interface SharedGeneratorConfig extends GT48Config {
+  /** Shared state from another generator's `buffer` (allocated if omitted) */
+  buffer?: SharedArrayBuffer;
+}
+
+/**
+ * Timestamp generator whose monotonic state lives in a SharedArrayBuffer
+ * 
+ * Generators over the same buffer (e.g. one per worker thread) advance a
+ * single state with Atomics and never issue the same value. They must use
+ * the same layout and epoch; monotonic mode is required.
+ * 
+ * @example
+ * ```typescript
+ * const generator = new SharedTimestampGenerator();
+ * new Worker('./worker.js', { workerData: { buffer: generator.buffer } });
+ * // worker.js
+ * const shared = new SharedTimestampGenerator({ buffer: workerData.buffer });
+ * ```
+ */
+export declare class SharedTimestampGenerator extends TimestampGenerator {
+  constructor(config?: SharedGeneratorConfig);
+
+  /** Shared state; pass it to generators in other threads */
+  readonly buffer: SharedArrayBuffer;
+}
+
+/**
+ * Node ID assignment running in the cluster primary
+ */
+export interface ClusterNodeIds {
+  /** Current cluster worker ID to node ID assignments */
+  assignments(): Map<number, number>;
+  /** Stop answering node ID requests */
+  close(): void;
+}
+
+/**
+ * Hand out distinct node IDs to cluster workers (call once in the primary)
+ * 
+ * @param options - Cluster module or compatible emitter (defaults to `require('cluster')`)
+ * @returns Assignment handle
+ */
+export function setupClusterNodeIds(options?: { cluster?: NodeJS.EventEmitter }): ClusterNodeIds;
+
+/**
+ * Create a generator with a node ID assigned by the cluster primary
+ * 
+ * @param config - Generator configuration; `nodeBits` is required and `nodeId` is assigned
+ * @param options - Reply timeout in ms (default 5000) and IPC channel (defaults to `process`)
+ * @returns Generator using the assigned node ID
+ * @throws {InvalidConfigError} Outside a worker, without nodeBits, on timeout or when all node IDs are taken
+ * @example
+ * ```typescript
+ * if (cluster.isPrimary) {
+ *   setupClusterNodeIds();
+ *   for (let i = 0; i < 4; i++) cluster.fork();
+ * } else {
+ *   const generator = await createClusterGenerator({ nodeBits: 4, precision: 'seconds' });
+ * }
+ * ```
+ */
+export function createClusterGenerator(
+  config: GT48Config & { nodeBits: number },
+  options?: { timeout?: number; process?: NodeJS.EventEmitter & { send?(message: unknown): unknown } }
+): Promise<TimestampGenerator>;
 
 /**
  * Maximum possible 48-bit value (2^48 - 1)
@@ -262,13 +1346,33 @@ export interface GT48Module {
   // New structured API
   GT48: typeof GT48;
   GT48Builder: typeof GT48Builder;
+  SharedTimestampGenerator: typeof SharedTimestampGenerator;
   // Legacy API functions
   generateTimestamp48: typeof generateTimestamp48;
+  generateTimestamp48Async: typeof generateTimestamp48Async;
+  generateTimestamps48: typeof generateTimestamps48;
+  generateTimestamp64: typeof generateTimestamp64;
+  generateTimestamp128: typeof generateTimestamp128;
+  decodeTimestamp64: typeof decodeTimestamp64;
+  decodeTimestamp128: typeof decodeTimestamp128;
+  timestamp64ToDate: typeof timestamp64ToDate;
+  timestamp128ToDate: typeof timestamp128ToDate;
   generateRawTimestamp: typeof generateRawTimestamp;
   decodeTimestamp48: typeof decodeTimestamp48;
+  parseTimestamp48: typeof parseTimestamp48;
   timestampToDate: typeof timestampToDate;
   isValidTimestamp: typeof isValidTimestamp;
   getTimestampStats: typeof getTimestampStats;
+  generateUUIDv7: typeof generateUUIDv7;
+  parseUUIDv7: typeof parseUUIDv7;
+  generateULID: typeof generateULID;
+  parseULID: typeof parseULID;
+  registerAlphabet: typeof registerAlphabet;
+  lowerBoundTimestamp: typeof lowerBoundTimestamp;
+  upperBoundTimestamp: typeof upperBoundTimestamp;
+  compareTimestamps: typeof compareTimestamps;
+  sortTimestamps: typeof sortTimestamps;
+  diffTimestamps: typeof diffTimestamps;
   // Constants
   MAX_48_BIT: typeof MAX_48_BIT;
   BASE64URL_CHARS: typeof BASE64URL_CHARS;
@@ -381,4 +1485,14 @@ export declare class FormatError extends GT48Error {
 
 export declare class InvalidConfigError extends GT48Error {
   constructor(field: string, value: unknown, expected: string);
+}
+
+export declare class SequenceOverflowError extends GT48Error {
+  constructor(message: string);
+}
+
+export declare class ClockRegressionError extends GT48Error {
+  constructor(message: string, regressionMs: number);
+  /** Distance the clock moved backwards in ms */
+  readonly regressionMs: number;
 }
\ No newline at end of file
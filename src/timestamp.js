@@ -19,17 +19,30 @@
 
 'use strict';
 
+const { randomFillSync } = require('crypto');
+const fs = require('fs');
+
 // Performance optimizations with bitwise operations// Constants
 // Use a custom epoch (2024-01-01) to fit more efficiently in 48 bits
+// (default only - each generator may choose its own via the `epoch` option)
 const CUSTOM_EPOCH = new Date('2024-01-01T00:00:00.000Z').getTime();
 const EPOCH_OFFSET = CUSTOM_EPOCH;
 const MAX_48_BIT = 0xFFFFFFFFFFFF; // 2^48 - 1 (using hex for clarity)
 const TIMESTAMP_MASK = 0xFFFFFFFFFFFF;
 const SEQUENCE_MASK = 0xFF; // 8-bit sequence counter
+const MAX_LAYOUT_BITS = 24; // Upper bound for sequenceBits + nodeBits
+const MAX_FIELD_BITS = 16; // Upper bound for sequenceBits and nodeBits each
 
 // Base64URL alphabet (RFC 4648 § 5)
 const BASE64URL_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
 
+// BigInt-backed layouts: Base64URL length, maximum value and node/sequence field limits per width
+// 128-bit layouts allow wider fields while keeping a full 53-bit (Number-safe) timestamp field
+const WIDE_LAYOUTS = {
+    64: { chars: 11, max: (1n << 64n) - 1n, maxFieldBits: MAX_FIELD_BITS, maxLayoutBits: MAX_LAYOUT_BITS },
+    128: { chars: 22, max: (1n << 128n) - 1n, maxFieldBits: 48, maxLayoutBits: 75 }
+};
+
 // Pre-computed lookup tables for Base64URL encoding/decoding (performance optimization)
 const ENCODE_TABLE = new Array(64);
 const DECODE_TABLE = new Uint8Array(128);
@@ -45,15 +58,195 @@ for (let i = 0; i < BASE64URL_CHARS.length; i++) {
     DECODE_TABLE[BASE64URL_CHARS.charCodeAt(i)] = i;
 }
 
+// Lexicographically sortable alphabets: each is in ASCII order, so comparing
+// fixed-width encoded strings gives the same result as comparing the values
+const CROCKFORD_BASE32_CHARS = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SORTABLE_BASE64_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+const BASE62_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE36_CHARS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Build lookup tables for a fixed-width 48-bit encoding
+ * 
+ * @param {string} name - Human-readable encoding name for error messages
+ * @param {string} alphabet - Digits in ascending value order
+ * @param {object} options - Decoding options
+ * @param {boolean} options.caseInsensitive - Also accept the other letter case when decoding
+ * @param {object} options.aliases - Extra characters accepted when decoding, mapped to alphabet characters
+ * @returns {object} Frozen codec: name, alphabet, radix, length, encodeTable, decodeTable
+ */
+function buildCodec(name, alphabet, options = {}) {
+    if (typeof alphabet !== 'string' || alphabet.length < 2) {
+        throw new InvalidConfigError(`Invalid ${name} alphabet: must be a string of at least 2 characters`);
+    }
+    
+    // Every character that decodes, including the other case when case-insensitive
+    const seen = new Set();
+    const claim = (char, source) => {
+        if (char.charCodeAt(0) >= 128) {
+            throw new InvalidConfigError(`Invalid ${name} alphabet: ${source} '${char}' is not an ASCII character`);
+        }
+        if (seen.has(char)) {
+            throw new InvalidConfigError(`Invalid ${name} alphabet: duplicate character '${char}'`);
+        }
+        seen.add(char);
+    };
+    const variants = (char) => {
+        if (!options.caseInsensitive) {
+            return [char];
+        }
+        return [...new Set([char, char.toLowerCase(), char.toUpperCase()])];
+    };
+    
+    for (const char of alphabet) {
+        variants(char).forEach((variant) => claim(variant, 'character'));
+    }
+    for (const [alias, target] of Object.entries(options.aliases || {})) {
+        if (alias.length !== 1 || typeof target !== 'string' || target.length !== 1 || !alphabet.includes(target)) {
+            throw new InvalidConfigError(`Invalid ${name} alias '${alias}': must be a single character mapped to an alphabet character`);
+        }
+        variants(alias).forEach((variant) => claim(variant, 'alias'));
+    }
+    
+    const radix = alphabet.length;
+    const encodeTable = new Array(radix);
+    const decodeTable = new Uint8Array(128);
+    decodeTable.fill(255); // Invalid marker
+    
+    for (let i = 0; i < radix; i++) {
+        encodeTable[i] = alphabet[i];
+        decodeTable[alphabet.charCodeAt(i)] = i;
+        if (options.caseInsensitive) {
+            decodeTable[alphabet[i].toLowerCase().charCodeAt(0)] = i;
+            decodeTable[alphabet[i].toUpperCase().charCodeAt(0)] = i;
+        }
+    }
+    
+    for (const [alias, target] of Object.entries(options.aliases || {})) {
+        decodeTable[alias.charCodeAt(0)] = decodeTable[target.charCodeAt(0)];
+        if (options.caseInsensitive) {
+            decodeTable[alias.toLowerCase().charCodeAt(0)] = decodeTable[target.charCodeAt(0)];
+        }
+    }
+    
+    // Shortest fixed width that holds every 48-bit value
+    let length = 1;
+    while (Math.pow(radix, length) <= MAX_48_BIT) {
+        length++;
+    }
+    
+    return Object.freeze({ name, alphabet, radix, length, encodeTable, decodeTable });
+}
+
+// Codecs by output format name: the sortable built-ins plus registerAlphabet()
+const CODECS = new Map([
+    // ULID-style: case-insensitive, I/L read as 1 and O as 0
+    ['base32', buildCodec('Crockford Base32', CROCKFORD_BASE32_CHARS, { caseInsensitive: true, aliases: { I: '1', L: '1', O: '0' } })],
+    ['base64sort', buildCodec('sortable Base64', SORTABLE_BASE64_CHARS)],
+    ['base62', buildCodec('Base62', BASE62_CHARS)],
+    ['base36', buildCodec('Base36', BASE36_CHARS, { caseInsensitive: true })]
+]);
+
+// Output formats that are not codecs and cannot be registered as alphabets
+const RESERVED_FORMATS = ['base64url', 'hex', 'number', 'binary', 'bigint'];
+
+// Tick units for each supported precision
+// Timestamps are stored as integer ticks since the custom epoch; these helpers
+// convert between elapsed milliseconds and ticks of the configured unit.
+const PRECISION_UNITS = {
+    seconds: {
+        toTicks: (ms) => Math.floor(ms / 1000),
+        toMs: (ticks) => ticks * 1000
+    },
+    milliseconds: {
+        toTicks: (ms) => Math.floor(ms),
+        toMs: (ticks) => ticks
+    },
+    nanoseconds: {
+        toTicks: (ms) => Math.floor(ms * 1000000),
+        toMs: (ticks) => ticks / 1000000
+    }
+};
+
+// Self-describing encoding: version char + 2 layout chars + 8 payload chars
+// Layout word (12 bits): sequenceBits (5) | nodeBits (5) | precision index (2)
+// Version 2 adds 7 chars (42 bits) of epoch Unix ms for non-default epochs
+const LAYOUT_TAG_VERSION = 1;
+const EPOCH_TAG_VERSION = 2;
+const LAYOUT_TAG_LENGTH = 3;
+const EPOCH_TAG_LENGTH = 7;
+const MAX_TAGGED_EPOCH = Math.pow(2, EPOCH_TAG_LENGTH * 6) - 1;
+const TAGGED_LENGTH = LAYOUT_TAG_LENGTH + 8;
+const EPOCH_TAGGED_LENGTH = TAGGED_LENGTH + EPOCH_TAG_LENGTH;
+const TAG_PRECISIONS = ['seconds', 'milliseconds', 'nanoseconds'];
+
+// UUIDv7 (RFC 9562): 48-bit Unix ms, 4-bit version, 12-bit rand_a, 2-bit variant, 62-bit rand_b
+// rand_a holds a monotonic counter (RFC 9562 § 6.2, method 1)
+const UUID_VERSION_7 = 0x70;
+const UUID_VARIANT = 0x80;
+const UUID_COUNTER_MAX = 0xFFF;
+const UUID_COUNTER_SEED_MASK = 0x7FF; // Seed with leftmost bit zero to leave room for increments
+const UUIDV7_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// ULID: 48-bit Unix ms + 80 random bits as 26 Crockford Base32 characters (10 time + 16 random)
+const ULID_LENGTH = 26;
+const ULID_TIME_LENGTH = 10;
+const ULID_RANDOM_BYTES = 10;
+
+// Pool of random 16-bit values for random-sequence mode (refilled in bulk)
+const RANDOM_POOL_SIZE = 512;
+
+// Pre-computed byte-to-hex lookup table
+const HEX_TABLE = new Array(256);
+for (let i = 0; i < 256; i++) {
+    HEX_TABLE[i] = i.toString(16).padStart(2, '0');
+}
+
 // Configuration options
 const DEFAULT_CONFIG = {
     precision: 'milliseconds', // 'seconds' | 'milliseconds' | 'nanoseconds'
     monotonic: true,
-    format: 'base64url', // 'base64url' | 'hex' | 'binary'
+    format: 'base64url', // Default output: 'base64url' | 'hex' | 'binary' | 'number' | 'base32' | 'base64sort' | 'base62' | 'base36' ('bigint' for 64/128-bit)
     sequenceBits: 8, // Number of bits for sequence counter (reduced to fit more timestamp bits)
-    useHighResTime: false // Use process.hrtime.bigint() for sub-millisecond precision
+    nodeBits: 0, // Number of bits reserved for a node/worker ID (Snowflake-style layout)
+    nodeId: 0, // Node/worker ID packed between timestamp and sequence
+    bits: 48, // Total ID width: 48 (Number), 64 or 128 (BigInt)
+    useHighResTime: false, // Use HighResClock (hrtime anchored to wall time) for sub-millisecond precision
+    epoch: CUSTOM_EPOCH, // Custom epoch in Unix milliseconds (number or Date)
+    selfDescribing: false, // Prefix Base64URL output with a layout tag
+    overflowStrategy: 'spin', // 'spin' | 'throw' | 'borrow-future'
+    clockDriftPolicy: 'continue-logical', // 'continue-logical' | 'wait' | 'throw'
+    maxClockRegression: 1000, // Clock regression (ms) absorbed before clockDriftPolicy applies
+    onClockRegression: null, // Called with regression details when the clock steps backwards
+    clock: null, // Time source: function or { now() } returning Unix milliseconds
+    rangeWarningHorizon: 30 * 24 * 60 * 60 * 1000, // Warn when the range expires within this many ms (0 disables)
+    stateStore: null, // Persists state across restarts: { load() -> state | null, save(state) }
+    reserveAhead: 1000 // Ms of future ticks reserved per state save
 };
 
+// Layouts already warned about, so repeated construction does not repeat the warning
+// (bounded: the oldest entries are dropped once the limit is reached)
+const rangeWarningsEmitted = new Set();
+const RANGE_WARNING_LIMIT = 64;
+
+// Format version of persisted generator state
+const STATE_VERSION = 1;
+
+// Sentinel returned internally when generation must wait for the clock to reach `waitTarget`
+const WAIT_FOR_CLOCK = -1;
+
+// Busy-waits give up after this many reads of an unchanged clock; a real
+// clock advances its millisecond well within that many reads
+const CLOCK_STALL_READS = 1000000;
+
+// SharedTimestampGenerator buffer: BigInt64 slots for [ tick | sequence ] state, layout fingerprint and epoch
+const SHARED_STATE_SLOTS = 3;
+const SHARED_STATE_BYTES = SHARED_STATE_SLOTS * BigInt64Array.BYTES_PER_ELEMENT;
+
+// Cluster node ID assignment messages (worker -> primary request, primary -> worker reply)
+const CLUSTER_NODE_ID_REQUEST = 'gt48:node-id-request';
+const CLUSTER_NODE_ID_REPLY = 'gt48:node-id';
+
 // Custom error classes
 class GT48Error extends Error {
     constructor(message, code) {
@@ -84,6 +277,237 @@ class InvalidConfigError extends GT48Error {
     }
 }
 
+class SequenceOverflowError extends GT48Error {
+    constructor(message) {
+        super(message, 'SEQUENCE_OVERFLOW');
+        this.name = 'SequenceOverflowError';
+    }
+}
+
+class ClockRegressionError extends GT48Error {
+    constructor(message, regressionMs) {
+        super(message, 'CLOCK_REGRESSION');
+        this.name = 'ClockRegressionError';
+        this.regressionMs = regressionMs;
+    }
+}
+
+/**
+ * Manually controlled clock for deterministic tests and simulations
+ * 
+ * Starts frozen at `startMs`; while frozen, time only moves through
+ * advance(), rewind() and set(). unfreeze() lets it follow real time from
+ * its current value. Pass it as the `clock` option of a generator.
+ */
+class ManualClock {
+    /**
+     * @param {number} startMs - Initial Unix time in milliseconds
+     */
+    constructor(startMs = Date.now()) {
+        this.frozen = true;
+        this.time = startMs;
+        this.offset = 0;
+    }
+    
+    /**
+     * Current time
+     * @returns {number} Unix time in milliseconds
+     */
+    now() {
+        return this.frozen ? this.time : Date.now() + this.offset;
+    }
+    
+    /**
+     * Move the clock forward
+     * @param {number} ms - Milliseconds to advance (may be fractional)
+     * @returns {ManualClock} Clock instance for chaining
+     */
+    advance(ms) {
+        if (this.frozen) {
+            this.time += ms;
+        } else {
+            this.offset += ms;
+        }
+        return this;
+    }
+    
+    /**
+     * Move the clock backwards
+     * @param {number} ms - Milliseconds to rewind
+     * @returns {ManualClock} Clock instance for chaining
+     */
+    rewind(ms) {
+        return this.advance(-ms);
+    }
+    
+    /**
+     * Jump to an absolute time
+     * @param {number|Date} time - Unix milliseconds or Date
+     * @returns {ManualClock} Clock instance for chaining
+     */
+    set(time) {
+        const ms = time instanceof Date ? time.getTime() : time;
+        if (this.frozen) {
+            this.time = ms;
+        } else {
+            this.offset = ms - Date.now();
+        }
+        return this;
+    }
+    
+    /**
+     * Stop the clock at its current value
+     * @returns {ManualClock} Clock instance for chaining
+     */
+    freeze() {
+        this.time = this.now();
+        this.frozen = true;
+        return this;
+    }
+    
+    /**
+     * Let the clock follow real time from its current value
+     * @returns {ManualClock} Clock instance for chaining
+     */
+    unfreeze() {
+        this.offset = this.time - Date.now();
+        this.frozen = false;
+        return this;
+    }
+}
+
+/**
+ * Hybrid high-resolution clock anchored to wall time
+ * 
+ * process.hrtime.bigint() has an arbitrary origin, so it is anchored to
+ * Date.now() at construction and re-anchored every `resyncInterval` ms to
+ * follow wall-clock corrections. Readings never go backwards: after a
+ * re-sync that moves the anchor back, time holds until wall time catches up.
+ */
+class HighResClock {
+    /**
+     * @param {object} options - Clock options
+     * @param {number} options.resyncInterval - Milliseconds between re-syncs to wall time
+     * @param {Function} options.wallClock - Wall-clock source returning Unix milliseconds
+     */
+    constructor(options = {}) {
+        this.resyncIntervalNs = BigInt(Math.round((options.resyncInterval !== undefined ? options.resyncInterval : 1000) * 1000000));
+        this.wallClock = options.wallClock || Date.now;
+        this.hasHrtime = typeof process !== 'undefined' && Boolean(process.hrtime && process.hrtime.bigint);
+        this.lastNs = 0n;
+        this.resyncCount = 0;
+        this._anchor();
+    }
+    
+    /**
+     * Read the hardware timer (falls back to wall time without hrtime)
+     * @returns {bigint} Nanoseconds from an arbitrary origin
+     */
+    _hrtime() {
+        return this.hasHrtime ? process.hrtime.bigint() : BigInt(this.wallClock()) * 1000000n;
+    }
+    
+    /**
+     * Pair the current wall time with the current hardware timer reading
+     */
+    _anchor() {
+        this.anchorHr = this._hrtime();
+        this.anchorNs = BigInt(Math.round(this.wallClock() * 1000000));
+    }
+    
+    /**
+     * Current time in nanoseconds
+     * @returns {bigint} Unix time in integer nanoseconds
+     */
+    nowNs() {
+        let hr = this._hrtime();
+        if (hr - this.anchorHr >= this.resyncIntervalNs) {
+            this._anchor();
+            this.resyncCount++;
+            hr = this.anchorHr;
+        }
+        
+        let value = this.anchorNs + (hr - this.anchorHr);
+        // Never go backwards, even if a re-sync moved the anchor back
+        if (value < this.lastNs) {
+            value = this.lastNs;
+        }
+        this.lastNs = value;
+        return value;
+    }
+    
+    /**
+     * Current time
+     * @returns {number} Unix time in milliseconds with sub-millisecond fraction
+     */
+    now() {
+        return Number(this.nowNs()) / 1000000;
+    }
+}
+
+/**
+ * State store that keeps generator state in a JSON file
+ * 
+ * Pass as the `stateStore` option. Each save writes a temporary file and
+ * renames it over the target, so a crash mid-write leaves the previous
+ * state intact.
+ */
+class FileStateStore {
+    /**
+     * @param {string} path - File to keep the state in
+     * @param {object} options - Optional configuration
+     * @param {boolean} options.fsync - Flush each save to disk before renaming (default true)
+     */
+    constructor(path, options = {}) {
+        if (typeof path !== 'string' || path.length === 0) {
+            throw new InvalidConfigError('FileStateStore requires a file path');
+        }
+        this.path = path;
+        this.fsync = options.fsync !== false;
+    }
+    
+    /**
+     * Read the saved state
+     * @returns {object|null} Saved state, or null if the file does not exist
+     * @throws {InvalidConfigError} If the file is not valid JSON
+     */
+    load() {
+        let json;
+        try {
+            json = fs.readFileSync(this.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        
+        try {
+            return JSON.parse(json);
+        } catch {
+            throw new InvalidConfigError(`Invalid persisted state in ${this.path}: not valid JSON`);
+        }
+    }
+    
+    /**
+     * Replace the saved state
+     * @param {object} state - State to save
+     */
+    save(state) {
+        const tempPath = `${this.path}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(state));
+            if (this.fsync) {
+                fs.fsyncSync(fd);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, this.path);
+    }
+}
+
 /**
  * TimestampGenerator class for thread-safe timestamp generation
  * 
@@ -96,11 +520,76 @@ class TimestampGenerator {
         this._validateConfig(config);
         
         this.config = { ...DEFAULT_CONFIG, ...config };
+        // Normalize Date epochs to Unix milliseconds
+        this.config.epoch = this.config.epoch instanceof Date ? this.config.epoch.getTime() : this.config.epoch;
+        this.epoch = this.config.epoch;
+        // Normalize function clocks to the { now() } shape
+        this.clock = typeof this.config.clock === 'function' ? { now: this.config.clock } : this.config.clock;
+        if (!this.clock && this.config.useHighResTime) {
+            this.clock = new HighResClock();
+        }
+        // Nanosecond clocks (e.g. HighResClock) give exact integer ticks for 'nanoseconds'
+        this.nanosecondClock = this.config.precision === 'nanoseconds' && this.clock && typeof this.clock.nowNs === 'function';
+        this.epochNs = BigInt(this.epoch) * 1000000n;
+        this.unit = PRECISION_UNITS[this.config.precision];
         this.lastTimestamp = 0;
         this.sequenceCounter = 0;
         this.maxSequence = Math.pow(2, this.config.sequenceBits) - 1;
+        // Layout: [ timestamp | nodeId (nodeBits) | sequence (sequenceBits) ]
+        this.sequenceMultiplier = Math.pow(2, this.config.sequenceBits);
+        this.timestampMultiplier = Math.pow(2, this.config.sequenceBits + this.config.nodeBits);
+        this.nodeOffset = this.config.nodeId * this.sequenceMultiplier;
+        const timestampBits = this.config.bits - this.config.sequenceBits - this.config.nodeBits;
+        // Wide (64/128-bit) layouts are packed with BigInt; ticks stay Number-safe
+        this.wide = this.config.bits !== 48;
+        this.sequenceShift = BigInt(this.config.sequenceBits);
+        this.timestampShift = BigInt(this.config.sequenceBits + this.config.nodeBits);
+        this.nodeIdBig = BigInt(this.config.nodeId);
+        // Largest tick count that still fits next to the node and sequence bits
+        this.maxTimestamp = this.wide
+            ? Math.min(Math.pow(2, timestampBits) - 1, Number.MAX_SAFE_INTEGER)
+            : Math.floor(MAX_48_BIT / this.timestampMultiplier);
+        this.layout = Object.freeze({
+            bits: this.config.bits,
+            precision: this.config.precision,
+            epoch: this.epoch,
+            timestampBits,
+            nodeBits: this.config.nodeBits,
+            sequenceBits: this.config.sequenceBits
+        });
         this.generatedCount = 0;
         this.overflowCount = 0;
+        this.borrowedTicks = 0;
+        this.waitTarget = 0;
+        // Highest clock reading so far, used to detect and measure clock regressions
+        this.clockHighWater = 0;
+        this.inClockRegression = false;
+        this.collisionCount = 0;
+        if (!this.config.monotonic) {
+            // Random-sequence mode: slot i holds the tick generation that last used sequence i
+            this.sequenceSlots = new Uint32Array(this.maxSequence + 1);
+            this.sequenceGeneration = 0;
+            this.randomPool = new Uint16Array(RANDOM_POOL_SIZE);
+            this.randomIndex = RANDOM_POOL_SIZE;
+        }
+        this.clockRegressionCount = 0;
+        this.lastClockRegressionMs = 0;
+        this.maxClockRegressionMs = 0;
+        this.totalClockRegressionMs = 0;
+        // Independent monotonic state for UUIDv7 generation (Unix ms + rand_a counter)
+        this.uuidTimestamp = -1;
+        this.uuidCounter = 0;
+        // Independent monotonic state for ULID generation (Unix ms + 80-bit random part)
+        this.ulidTimestamp = -1;
+        this.ulidRandom = new Uint8Array(ULID_RANDOM_BYTES);
+        // Highest tick covered by the last state save; ticks beyond it are saved before use
+        this.reservedUntil = 0;
+        // Set when the saved state covers no ticks ahead, so the next ID saves a new reservation
+        this.needsReservation = false;
+        this.reserveTicks = this.unit.toTicks(this.config.reserveAhead);
+        
+        this._validateRange();
+        this._loadState();
     }
     
     /**
@@ -113,8 +602,13 @@ class TimestampGenerator {
             throw new InvalidConfigError(`Invalid precision: ${config.precision}. Must be 'seconds', 'milliseconds', or 'nanoseconds'`);
         }
         
-        if (config.format && !['base64url', 'hex', 'binary'].includes(config.format)) {
-            throw new InvalidConfigError(`Invalid format: ${config.format}. Must be 'base64url', 'hex', or 'binary'`);
+        if (config.format) {
+            // 48-bit IDs are Numbers; 64/128-bit IDs are BigInts
+            const wide = config.bits !== undefined && config.bits !== 48;
+            const formats = wide ? ['base64url', 'hex', 'bigint'] : ['base64url', 'hex', 'binary', 'number', ...CODECS.keys()];
+            if (!formats.includes(config.format)) {
+                throw new InvalidConfigError(`Invalid format: ${config.format}. Must be one of ${formats.map((format) => `'${format}'`).join(', ')} for ${wide ? config.bits : 48}-bit IDs`);
+            }
         }
         
         if (config.monotonic !== undefined && typeof config.monotonic !== 'boolean') {
@@ -125,339 +619,2860 @@ class TimestampGenerator {
             throw new InvalidConfigError(`Invalid useHighResTime: ${config.useHighResTime}. Must be boolean`);
         }
         
+        if (config.overflowStrategy && !['spin', 'throw', 'borrow-future'].includes(config.overflowStrategy)) {
+            throw new InvalidConfigError(`Invalid overflowStrategy: ${config.overflowStrategy}. Must be 'spin', 'throw', or 'borrow-future'`);
+        }
+        
+        if (config.clockDriftPolicy && !['wait', 'throw', 'continue-logical'].includes(config.clockDriftPolicy)) {
+            throw new InvalidConfigError(`Invalid clockDriftPolicy: ${config.clockDriftPolicy}. Must be 'wait', 'throw', or 'continue-logical'`);
+        }
+        
+        if (config.maxClockRegression !== undefined && (typeof config.maxClockRegression !== 'number' || !(config.maxClockRegression >= 0))) {
+            throw new InvalidConfigError(`Invalid maxClockRegression: ${config.maxClockRegression}. Must be a non-negative number of milliseconds`);
+        }
+        
+        if (config.onClockRegression !== undefined && config.onClockRegression !== null && typeof config.onClockRegression !== 'function') {
+            throw new InvalidConfigError('Invalid onClockRegression: must be a function');
+        }
+        
+        if (config.clock !== undefined && config.clock !== null && typeof config.clock !== 'function' &&
+            !(typeof config.clock === 'object' && typeof config.clock.now === 'function')) {
+            throw new InvalidConfigError('Invalid clock: must be a function or an object with a now() method returning Unix milliseconds');
+        }
+        
+        if (config.selfDescribing !== undefined && typeof config.selfDescribing !== 'boolean') {
+            throw new InvalidConfigError(`Invalid selfDescribing: ${config.selfDescribing}. Must be boolean`);
+        }
+        
+        if (config.bits !== undefined && ![48, 64, 128].includes(config.bits)) {
+            throw new InvalidConfigError(`Invalid bits: ${config.bits}. Must be 48, 64, or 128`);
+        }
+        
+        if (config.selfDescribing && config.bits !== undefined && config.bits !== 48) {
+            throw new InvalidConfigError('Invalid selfDescribing: layout tags are only supported for 48-bit IDs');
+        }
+        
+        if (config.selfDescribing && config.epoch !== undefined &&
+            (config.epoch instanceof Date ? config.epoch.getTime() : config.epoch) > MAX_TAGGED_EPOCH) {
+            throw new InvalidConfigError(`Invalid selfDescribing: layout tags only record epochs up to ${new Date(MAX_TAGGED_EPOCH).toISOString()}`);
+        }
+        
+        const bits = config.bits !== undefined ? config.bits : DEFAULT_CONFIG.bits;
+        const { maxFieldBits, maxLayoutBits } = WIDE_LAYOUTS[bits] || { maxFieldBits: MAX_FIELD_BITS, maxLayoutBits: MAX_LAYOUT_BITS };
+        
         if (config.sequenceBits !== undefined) {
-            if (!Number.isInteger(config.sequenceBits) || config.sequenceBits < 1 || config.sequenceBits > 16) {
-                throw new InvalidConfigError(`Invalid sequenceBits: ${config.sequenceBits}. Must be integer between 1 and 16`);
+            if (!Number.isInteger(config.sequenceBits) || config.sequenceBits < 1 || config.sequenceBits > maxFieldBits) {
+                throw new InvalidConfigError(`Invalid sequenceBits: ${config.sequenceBits}. Must be integer between 1 and ${maxFieldBits} for ${bits}-bit IDs`);
+            }
+        }
+        
+        if (config.nodeBits !== undefined) {
+            if (!Number.isInteger(config.nodeBits) || config.nodeBits < 0 || config.nodeBits > maxFieldBits) {
+                throw new InvalidConfigError(`Invalid nodeBits: ${config.nodeBits}. Must be integer between 0 and ${maxFieldBits} for ${bits}-bit IDs`);
+            }
+        }
+        
+        // Node and sequence bits share the layout width with the timestamp
+        const sequenceBits = config.sequenceBits !== undefined ? config.sequenceBits : DEFAULT_CONFIG.sequenceBits;
+        const nodeBits = config.nodeBits !== undefined ? config.nodeBits : DEFAULT_CONFIG.nodeBits;
+        if (sequenceBits + nodeBits > maxLayoutBits) {
+            throw new InvalidConfigError(`Invalid layout: sequenceBits (${sequenceBits}) + nodeBits (${nodeBits}) must not exceed ${maxLayoutBits}, leaving at least ${bits - maxLayoutBits} timestamp bits`);
+        }
+        
+        // Random-sequence mode tracks every sequence value of a tick
+        if (config.monotonic === false && sequenceBits > MAX_FIELD_BITS) {
+            throw new InvalidConfigError(`Invalid sequenceBits: ${sequenceBits}. monotonic: false supports at most ${MAX_FIELD_BITS} sequence bits`);
+        }
+        
+        if (config.nodeId !== undefined) {
+            const maxNodeId = Math.pow(2, nodeBits) - 1;
+            if (!Number.isInteger(config.nodeId) || config.nodeId < 0 || config.nodeId > maxNodeId) {
+                throw new InvalidConfigError(`Invalid nodeId: ${config.nodeId}. Must be integer between 0 and ${maxNodeId} for ${nodeBits} nodeBits`);
+            }
+        }
+        
+        if (config.epoch !== undefined) {
+            const epoch = config.epoch instanceof Date ? config.epoch.getTime() : config.epoch;
+            if (!Number.isSafeInteger(epoch) || epoch < 0) {
+                throw new InvalidConfigError(`Invalid epoch: ${config.epoch}. Must be a non-negative integer of Unix milliseconds or a valid Date`);
             }
         }
+        
+        if (config.rangeWarningHorizon !== undefined && (typeof config.rangeWarningHorizon !== 'number' || !(config.rangeWarningHorizon >= 0))) {
+            throw new InvalidConfigError(`Invalid rangeWarningHorizon: ${config.rangeWarningHorizon}. Must be a non-negative number of milliseconds`);
+        }
+        
+        if (config.stateStore !== undefined && config.stateStore !== null &&
+            (typeof config.stateStore.load !== 'function' || typeof config.stateStore.save !== 'function')) {
+            throw new InvalidConfigError('Invalid stateStore: must have load() and save(state) methods');
+        }
+        
+        if (config.reserveAhead !== undefined && (typeof config.reserveAhead !== 'number' || !(config.reserveAhead >= 0))) {
+            throw new InvalidConfigError(`Invalid reserveAhead: ${config.reserveAhead}. Must be a non-negative number of milliseconds`);
+        }
     }
     
     /**
-     * Get current timestamp with configurable precision
-     * @returns {number} Current timestamp
+     * Check the layout's range against the current time
+     * 
+     * Runs once the layout is known. Rejects layouts whose last representable
+     * instant has already passed, and emits a process warning (once per
+     * layout) when it passes within `rangeWarningHorizon`.
+     * 
+     * @throws {InvalidConfigError} If the range has already expired
      */
-    _getCurrentTime() {
-        if (this.config.useHighResTime && typeof process !== 'undefined' && process.hrtime && process.hrtime.bigint) {
-            // Use high-resolution time for sub-millisecond precision
-            const hrTime = process.hrtime.bigint();
-            // Convert nanoseconds to milliseconds with fractional part
-            const timeMs = Number(hrTime) / 1000000;
-            return timeMs - EPOCH_OFFSET;
+    _validateRange() {
+        const range = this.getRangeInfo();
+        const layout = `${this.config.bits}-bit layout (${this.config.sequenceBits} sequence bits, ${this.config.nodeBits} node bits, ${this.config.precision}) from epoch ${new Date(this.epoch).toISOString()}`;
+        
+        if (range.expired) {
+            throw new InvalidConfigError(`Invalid layout: the ${layout} expired at ${range.maxDate.toISOString()}; use a later epoch, a coarser precision or fewer sequence/node bits`);
+        }
+        
+        if (range.remainingMs <= this.config.rangeWarningHorizon && !rangeWarningsEmitted.has(layout) &&
+            typeof process !== 'undefined' && typeof process.emitWarning === 'function') {
+            if (rangeWarningsEmitted.size >= RANGE_WARNING_LIMIT) {
+                rangeWarningsEmitted.delete(rangeWarningsEmitted.values().next().value);
+            }
+            rangeWarningsEmitted.add(layout);
+            process.emitWarning(`The ${layout} expires at ${range.maxDate.toISOString()}`, {
+                type: 'GT48RangeWarning',
+                code: 'GT48_RANGE_EXPIRING'
+            });
+        }
+    }
+    
+    /**
+     * Read the time source
+     * @returns {number} Current Unix time in milliseconds
+     * @throws {InvalidConfigError} If an injected clock does not return a finite number
+     */
+    _getUnixMs() {
+        if (this.clock) {
+            // Injected time source, or HighResClock with useHighResTime
+            const ms = this.clock.now();
+            if (typeof ms !== 'number' || !Number.isFinite(ms)) {
+                throw new InvalidConfigError(`Invalid clock reading: ${String(ms)}. clock.now() must return Unix milliseconds as a finite number`);
+            }
+            return ms;
         } else {
             // Use standard Date.now() for millisecond precision
-            return Date.now() - EPOCH_OFFSET;
+            return Date.now();
+        }
+    }
+    
+    /**
+     * Get current timestamp with configurable precision
+     * @returns {number} Current timestamp in integer ticks of the configured precision
+     * @throws {InvalidConfigError} If an injected clock returns an invalid reading
+     */
+    _getCurrentTime() {
+        if (this.nanosecondClock) {
+            const ns = this.clock.nowNs();
+            if (typeof ns !== 'bigint') {
+                throw new InvalidConfigError(`Invalid clock reading: ${String(ns)}. clock.nowNs() must return Unix nanoseconds as a BigInt`);
+            }
+            return Number(ns - this.epochNs);
         }
+        return this.unit.toTicks(this._getUnixMs() - this.epoch);
+    }
+    
+    /**
+     * Generate the next ID in the given or configured format
+     * 
+     * @param {string} format - Output format (defaults to `config.format`)
+     * @returns {string|number|bigint|Uint8Array} Encoded ID
+     */
+    generate(format) {
+        const options = { generator: this, format };
+        return this.wide ? generateWideTimestamp(this.config.bits, options) : generateTimestamp48(options);
     }
     
     /**
      * Generate raw 48-bit timestamp with monotonic guarantee
      * 
      * Implements UUIDv7-compatible 48-bit timestamp:
-     * - Bits 0-35: Milliseconds since Unix epoch (no precision loss)
-     * - Bits 36-47: Sequence counter for monotonic ordering
+     * - High bits: Ticks since custom epoch in the configured precision
+     * - Next `nodeBits` bits: Node/worker ID (omitted when nodeBits is 0)
+     * - Low `sequenceBits` bits: Sequence counter for monotonic ordering
+     *   (a unique random value per tick when `monotonic` is false)
      * - Full precision timestamp without Math.floor() distortion
      * 
+     * When the sequence overflows, the `overflowStrategy` decides: 'spin'
+     * busy-waits for the next tick, 'throw' raises SequenceOverflowError and
+     * 'borrow-future' moves the timestamp one tick ahead of the clock.
+     * 
+     * Clock regressions up to `maxClockRegression` ms continue on the last
+     * timestamp; larger ones follow `clockDriftPolicy`: 'continue-logical'
+     * (default) keeps issuing from the logical clock without waiting, 'throw'
+     * raises ClockRegressionError, and 'wait' busy-waits for the clock to
+     * catch up. Use generateRawAsync() with 'wait' to avoid blocking.
+     * 
      * @returns {number} 48-bit timestamp as integer
+     * @throws {SequenceOverflowError} On overflow with the 'throw' strategy, or if the clock never advances while waiting
+     * @throws {ClockRegressionError} On regression with the 'throw' policy
      */
     generateRaw() {
-        const now = this._getCurrentTime(); // Use configurable time source
-        
-        // Validate timestamp range (check if timestamp part fits in available bits)
-        const maxTimestamp = Math.floor(MAX_48_BIT / Math.pow(2, this.config.sequenceBits));
-        if (now > maxTimestamp) {
-            throw new TimestampRangeError(`Timestamp ${now} exceeds maximum ${maxTimestamp}`);
+        let raw = this._nextRaw();
+        while (raw === WAIT_FOR_CLOCK) {
+            this._spinUntil(this.waitTarget);
+            raw = this._nextRaw();
         }
-        
-        // Ensure non-negative timestamp
-        if (now < 0) {
-            throw new TimestampRangeError(`Timestamp ${now} is before custom epoch`);
+        return raw;
+    }
+    
+    /**
+     * Generate the next ID as a BigInt
+     * 
+     * Works for every layout width and is the only raw form for 64- and
+     * 128-bit layouts, whose values exceed Number precision.
+     * 
+     * @returns {bigint} Raw ID of `config.bits` bits
+     */
+    generateBigInt() {
+        let sequence = this._nextSequence();
+        while (sequence === WAIT_FOR_CLOCK) {
+            this._spinUntil(this.waitTarget);
+            sequence = this._nextSequence();
         }
-        
-        // Ensure monotonic ordering
-        if (now === this.lastTimestamp) {
-            this.sequenceCounter++;
-            // Handle sequence overflow within same millisecond
-            if (this.sequenceCounter > this.maxSequence) {
-                this.overflowCount++;
-                // Wait for next millisecond
-                let nextTimestamp;
-                do {
-                    nextTimestamp = this._getCurrentTime();
-                } while (nextTimestamp <= this.lastTimestamp);
-                
-                this.sequenceCounter = 0;
-                this.lastTimestamp = nextTimestamp;
-                // Increment generation counter
-                this.generatedCount++;
-                // Return simple timestamp for new millisecond
-                return (this.lastTimestamp * Math.pow(2, this.config.sequenceBits)) + this.sequenceCounter;
-            }
-            // Increment generation counter
-            this.generatedCount++;
-            // Combine timestamp with sequence counter
-            return (now * Math.pow(2, this.config.sequenceBits)) + this.sequenceCounter;
-        } else if (now > this.lastTimestamp) {
-            this.lastTimestamp = now;
-            this.sequenceCounter = 0;
-            // Increment generation counter
-            this.generatedCount++;
-            // Return timestamp with zero sequence
-            return (now * Math.pow(2, this.config.sequenceBits)) + this.sequenceCounter;
-        } else {
-            // Clock went backwards - ensure monotonicity by using last timestamp
-            this.sequenceCounter++;
-            if (this.sequenceCounter > this.maxSequence) {
-                this.overflowCount++;
-                // Wait for time to catch up to ensure monotonicity
-                let nextTimestamp;
-                do {
-                    nextTimestamp = this._getCurrentTime();
-                } while (nextTimestamp <= this.lastTimestamp);
-                
-                this.lastTimestamp = nextTimestamp;
-                this.sequenceCounter = 0;
-                // Increment generation counter
-                this.generatedCount++;
-                return (this.lastTimestamp * Math.pow(2, this.config.sequenceBits)) + this.sequenceCounter;
-            }
-            // Increment generation counter
-            this.generatedCount++;
-            // Use lastTimestamp to maintain monotonicity
-            return (this.lastTimestamp * Math.pow(2, this.config.sequenceBits)) + this.sequenceCounter;
+        return (BigInt(this.lastTimestamp) << this.timestampShift) | (this.nodeIdBig << this.sequenceShift) | BigInt(sequence);
+    }
+    
+    /**
+     * Generate the next ID as a BigInt without blocking the event loop
+     * 
+     * Same as generateBigInt(), except that waiting for the next tick awaits
+     * a timer instead of busy-waiting.
+     * 
+     * @returns {Promise<bigint>} Raw ID of `config.bits` bits
+     */
+    async generateBigIntAsync() {
+        let sequence = this._nextSequence();
+        while (sequence === WAIT_FOR_CLOCK) {
+            await this._sleepUntil(this.waitTarget);
+            sequence = this._nextSequence();
         }
+        return (BigInt(this.lastTimestamp) << this.timestampShift) | (this.nodeIdBig << this.sequenceShift) | BigInt(sequence);
     }
-
+    
     /**
-     * Get current generator statistics
+     * Generate many raw 48-bit timestamps in one call
      * 
-     * @returns {object} Statistics about timestamp generation
+     * Each clock read reserves the rest of the current tick's sequence range,
+     * so the clock is only consulted again when a tick is exhausted. Values
+     * are strictly increasing (in monotonic mode) and continue the same
+     * sequence as generateRaw(), so ordering holds across batch boundaries.
+     * 
+     * @param {number} count - Number of timestamps to generate
+     * @returns {Float64Array} Raw 48-bit timestamps in generation order
+     */
+    generateRawBatch(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new InvalidConfigError(`Invalid count: ${count}. Must be a non-negative integer`);
+        }
+        
+        const results = new Float64Array(count);
+        let i = 0;
+        while (i < count) {
+            results[i++] = this.generateRaw();
+            
+            // Reserve the remainder of this tick without reading the clock again
+            const reserved = Math.min(this.maxSequence - this.sequenceCounter, count - i);
+            const base = this.lastTimestamp * this.timestampMultiplier + this.nodeOffset;
+            for (let j = 0; j < reserved; j++) {
+                this.sequenceCounter++;
+                results[i++] = base + (this.sequenceSlots ? this._drawSequence() : this.sequenceCounter);
+            }
+            this.generatedCount += reserved;
+        }
+        return results;
+    }
+    
+    /**
+     * Generate raw 48-bit timestamp without blocking the event loop
+     * 
+     * Same as generateRaw(), except that waiting for the next tick (sequence
+     * overflow with 'spin', clock regression with 'wait') awaits a timer
+     * instead of busy-waiting.
+     * 
+     * @returns {Promise<number>} 48-bit timestamp as integer
+     */
+    async generateRawAsync() {
+        let raw = this._nextRaw();
+        while (raw === WAIT_FOR_CLOCK) {
+            await this._sleepUntil(this.waitTarget);
+            raw = this._nextRaw();
+        }
+        return raw;
+    }
+    
+    /**
+     * Busy-wait until the clock has reached the given tick
+     * 
+     * A clock that cannot get there by itself (a frozen ManualClock, or one
+     * that returns the same time for CLOCK_STALL_READS reads) would block
+     * forever, so waiting gives up with SequenceOverflowError instead.
+     * 
+     * @param {number} timestamp - Tick to wait for
+     * @throws {SequenceOverflowError} If the clock does not advance
+     */
+    _spinUntil(timestamp) {
+        let lastMs = this._getUnixMs();
+        let stalledReads = 0;
+        while (this._getCurrentTime() < timestamp) {
+            const nowMs = this._getUnixMs();
+            if (nowMs !== lastMs) {
+                lastMs = nowMs;
+                stalledReads = 0;
+            } else if ((this.clock && this.clock.frozen === true) || ++stalledReads >= CLOCK_STALL_READS) {
+                throw new SequenceOverflowError(`Clock is not advancing: cannot wait for tick ${timestamp} to continue generation`);
+            }
+        }
+    }
+    
+    /**
+     * Resolve once the clock has reached the given tick
+     * @param {number} timestamp - Tick to wait for
+     * @returns {Promise<void>}
+     */
+    async _sleepUntil(timestamp) {
+        while (this._getCurrentTime() < timestamp) {
+            const targetMs = this.epoch + this.unit.toMs(timestamp);
+            const delay = Math.max(0, Math.ceil(targetMs - this._getUnixMs()));
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    
+    /**
+     * Produce the next raw value, or WAIT_FOR_CLOCK if the caller must wait
+     * for the clock to reach `waitTarget` before retrying
+     * @returns {number} 48-bit timestamp or WAIT_FOR_CLOCK
+     */
+    _nextRaw() {
+        if (this.wide) {
+            throw new InvalidConfigError(`Raw Number values are limited to 48 bits; use generateBigInt() for ${this.config.bits}-bit layouts`);
+        }
+        
+        const sequence = this._nextSequence();
+        return sequence === WAIT_FOR_CLOCK
+            ? WAIT_FOR_CLOCK
+            : this.lastTimestamp * this.timestampMultiplier + this.nodeOffset + sequence;
+    }
+    
+    /**
+     * Advance generator state by one ID
+     * 
+     * Reads the clock, applies range checks, clock regression and overflow
+     * handling, and leaves the issued tick in `lastTimestamp`.
+     * 
+     * @returns {number} Sequence value for `lastTimestamp`, or WAIT_FOR_CLOCK
+     */
+    _nextSequence() {
+        const now = this._getCurrentTime(); // Use configurable time source
+        
+        // Validate timestamp range (check if timestamp part fits in available bits)
+        if (now > this.maxTimestamp) {
+            const maxDate = new Date(this.epoch + this.unit.toMs(this.maxTimestamp)).toISOString();
+            throw new TimestampRangeError(`Timestamp ${now} exceeds maximum ${this.maxTimestamp} ${this.config.precision} since epoch ${new Date(this.epoch).toISOString()} (last representable instant ${maxDate})`);
+        }
+        
+        // Ensure non-negative timestamp
+        if (now < 0) {
+            throw new TimestampRangeError(`Timestamp ${now} is before custom epoch ${new Date(this.epoch).toISOString()}`);
+        }
+        
+        let logical = false;
+        if (now < this.clockHighWater) {
+            const regressionMs = this.unit.toMs(this.clockHighWater - now);
+            this._recordClockRegression(now, regressionMs);
+            
+            if (regressionMs > this.config.maxClockRegression) {
+                switch (this.config.clockDriftPolicy) {
+                    case 'throw':
+                        throw new ClockRegressionError(`Clock moved backwards by ${regressionMs}ms (tolerance ${this.config.maxClockRegression}ms)`, regressionMs);
+                    case 'continue-logical':
+                        logical = true;
+                        break;
+                    default:
+                        this.waitTarget = this.clockHighWater;
+                        return WAIT_FOR_CLOCK;
+                }
+            }
+        } else {
+            this.clockHighWater = now;
+            this.inClockRegression = false;
+        }
+        
+        if (now > this.lastTimestamp) {
+            this._reserveThrough(now);
+            this.lastTimestamp = now;
+            this.sequenceCounter = 0;
+            // Increment generation counter
+            this.generatedCount++;
+            // Start the tick at sequence zero
+            return this.sequenceSlots ? this._drawSequence() : 0;
+        }
+        
+        // Same tick, borrowed tick or clock went backwards - continue on last timestamp
+        if (this.sequenceCounter < this.maxSequence) {
+            if (this.needsReservation) {
+                this._reserveThrough(this.lastTimestamp);
+            }
+            this.sequenceCounter++;
+            // Increment generation counter
+            this.generatedCount++;
+            return this.sequenceSlots ? this._drawSequence() : this.sequenceCounter;
+        }
+        
+        return this._handleOverflow(logical);
+    }
+    
+    /**
+     * Save state before issuing a tick beyond the current reservation
+     * 
+     * Each save reserves `reserveAhead` ms of ticks, so the store is written
+     * once per window rather than per ID. After a crash, the next process
+     * resumes after the reserved window. The first ID after an exact save
+     * (saveState() or a restored state) also reserves, even in the same tick.
+     * 
+     * @param {number} timestamp - Tick about to be issued
+     */
+    _reserveThrough(timestamp) {
+        if (!this.config.stateStore || (timestamp <= this.reservedUntil && !this.needsReservation)) {
+            return;
+        }
+        this.reservedUntil = Math.min(timestamp + this.reserveTicks, this.maxTimestamp);
+        this.needsReservation = false;
+        this.config.stateStore.save(this._serializeState());
+    }
+    
+    /**
+     * Plain-object form of the persisted state
+     * @returns {object} State: version, layout, lastTimestamp, sequenceCounter, reservedUntil, clockHighWater and counters
+     */
+    _serializeState() {
+        return {
+            version: STATE_VERSION,
+            layout: { ...this.layout },
+            lastTimestamp: this.lastTimestamp,
+            sequenceCounter: this.sequenceCounter,
+            reservedUntil: this.reservedUntil,
+            clockHighWater: this.clockHighWater,
+            generatedCount: this.generatedCount,
+            overflowCount: this.overflowCount,
+            borrowedTicks: this.borrowedTicks,
+            collisionCount: this.collisionCount,
+            clockRegressionCount: this.clockRegressionCount
+        };
+    }
+    
+    /**
+     * Restore state from the configured store, if it holds any
+     * 
+     * A state saved by saveState() resumes at its exact position. Otherwise
+     * the previous process may have issued anything up to `reservedUntil`,
+     * so generation resumes after that tick, even if the clock is now behind.
+     * A clock behind the saved `clockHighWater` counts as a clock regression.
+     * 
+     * @throws {InvalidConfigError} If the state is malformed or from a different layout
+     */
+    _loadState() {
+        const state = this.config.stateStore ? this.config.stateStore.load() : null;
+        if (!state) {
+            return;
+        }
+        
+        if (state.version !== STATE_VERSION || !state.layout ||
+            !Number.isSafeInteger(state.lastTimestamp) || !Number.isSafeInteger(state.reservedUntil)) {
+            throw new InvalidConfigError('Invalid persisted state: unsupported version or missing fields');
+        }
+        this._assertSameLayout(state.layout, 'Persisted state was saved');
+        
+        this.lastTimestamp = Math.max(state.lastTimestamp, state.reservedUntil);
+        // Random sequences issued in the tick are unknown, so treat it as used up
+        this.sequenceCounter = this.lastTimestamp === state.lastTimestamp && this.config.monotonic
+            ? state.sequenceCounter
+            : this.maxSequence;
+        this.reservedUntil = this.lastTimestamp;
+        this.needsReservation = true;
+        // A clock now behind the previous process's clock is a regression, so clockDriftPolicy applies
+        this.clockHighWater = Number.isSafeInteger(state.clockHighWater) ? state.clockHighWater : state.lastTimestamp;
+        this.generatedCount = state.generatedCount || 0;
+        this.overflowCount = state.overflowCount || 0;
+        this.borrowedTicks = state.borrowedTicks || 0;
+        this.collisionCount = state.collisionCount || 0;
+        this.clockRegressionCount = state.clockRegressionCount || 0;
+    }
+    
+    /**
+     * Save the exact current state to the configured store
+     * 
+     * Call on shutdown so the next process resumes right where this one
+     * stopped instead of after the reserved window.
+     * 
+     * @returns {object} Saved state
+     * @throws {InvalidConfigError} If no stateStore is configured
+     */
+    saveState() {
+        if (!this.config.stateStore) {
+            throw new InvalidConfigError('No stateStore configured');
+        }
+        this.reservedUntil = this.lastTimestamp;
+        const state = this._serializeState();
+        this.config.stateStore.save(state);
+        // IDs issued after this exact save need a new reservation first
+        this.needsReservation = true;
+        return state;
+    }
+    
+    /**
+     * Reject state recorded with a different layout
+     * @param {object} layout - Layout the state was recorded with
+     * @param {string} source - Error message prefix describing the state
+     * @throws {InvalidConfigError} If any layout field differs
+     */
+    _assertSameLayout(layout, source) {
+        for (const key of Object.keys(this.layout)) {
+            if (layout[key] !== this.layout[key]) {
+                throw new InvalidConfigError(`${source} with a different layout (${key}: ${layout[key]}, configured ${this.layout[key]})`);
+            }
+        }
+    }
+    
+    /**
+     * Reset generation state as if the generator were new
+     * 
+     * Clears the last timestamp, sequence, clock regression tracking,
+     * UUIDv7/ULID state and all counters. Values issued before the reset can
+     * be issued again if the clock has not moved past them. The state store
+     * reservation is kept, so a restart still resumes after it.
+     */
+    reset() {
+        this.lastTimestamp = 0;
+        this.sequenceCounter = 0;
+        this.waitTarget = 0;
+        this.clockHighWater = 0;
+        this.inClockRegression = false;
+        this.generatedCount = 0;
+        this.overflowCount = 0;
+        this.borrowedTicks = 0;
+        this.collisionCount = 0;
+        this.clockRegressionCount = 0;
+        this.lastClockRegressionMs = 0;
+        this.maxClockRegressionMs = 0;
+        this.totalClockRegressionMs = 0;
+        this.uuidTimestamp = -1;
+        this.uuidCounter = 0;
+        this.ulidTimestamp = -1;
+        this.ulidRandom.fill(0);
+        if (this.sequenceSlots) {
+            this.sequenceSlots.fill(0);
+            this.sequenceGeneration = 0;
+        }
+    }
+    
+    /**
+     * Capture the exact generation state
+     * 
+     * The snapshot is a plain object (typed arrays are copied) that can be
+     * passed to restore() on this or another generator with the same layout.
+     * 
+     * @returns {object} Snapshot of the generator state
+     */
+    snapshot() {
+        return {
+            layout: { ...this.layout },
+            lastTimestamp: this.lastTimestamp,
+            sequenceCounter: this.sequenceCounter,
+            waitTarget: this.waitTarget,
+            clockHighWater: this.clockHighWater,
+            inClockRegression: this.inClockRegression,
+            generatedCount: this.generatedCount,
+            overflowCount: this.overflowCount,
+            borrowedTicks: this.borrowedTicks,
+            collisionCount: this.collisionCount,
+            clockRegressionCount: this.clockRegressionCount,
+            lastClockRegressionMs: this.lastClockRegressionMs,
+            maxClockRegressionMs: this.maxClockRegressionMs,
+            totalClockRegressionMs: this.totalClockRegressionMs,
+            uuidTimestamp: this.uuidTimestamp,
+            uuidCounter: this.uuidCounter,
+            ulidTimestamp: this.ulidTimestamp,
+            ulidRandom: Uint8Array.from(this.ulidRandom),
+            sequenceSlots: this.sequenceSlots ? Uint32Array.from(this.sequenceSlots) : null,
+            sequenceGeneration: this.sequenceSlots ? this.sequenceGeneration : 0
+        };
+    }
+    
+    /**
+     * Reinstate state captured with snapshot()
+     * 
+     * @param {object} snapshot - Snapshot from a generator with the same layout and mode
+     * @throws {InvalidConfigError} If the snapshot is malformed or from a different layout or mode
+     */
+    restore(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object' || !snapshot.layout || !Number.isSafeInteger(snapshot.lastTimestamp)) {
+            throw new InvalidConfigError('Invalid snapshot: expected an object from snapshot()');
+        }
+        this._assertSameLayout(snapshot.layout, 'Snapshot was taken');
+        if (!snapshot.sequenceSlots !== !this.sequenceSlots) {
+            throw new InvalidConfigError(`Snapshot was taken with monotonic: ${!snapshot.sequenceSlots}, configured ${this.config.monotonic}`);
+        }
+        
+        this.lastTimestamp = snapshot.lastTimestamp;
+        this.sequenceCounter = snapshot.sequenceCounter;
+        this.waitTarget = snapshot.waitTarget;
+        this.clockHighWater = snapshot.clockHighWater;
+        this.inClockRegression = snapshot.inClockRegression;
+        this.generatedCount = snapshot.generatedCount;
+        this.overflowCount = snapshot.overflowCount;
+        this.borrowedTicks = snapshot.borrowedTicks;
+        this.collisionCount = snapshot.collisionCount;
+        this.clockRegressionCount = snapshot.clockRegressionCount;
+        this.lastClockRegressionMs = snapshot.lastClockRegressionMs;
+        this.maxClockRegressionMs = snapshot.maxClockRegressionMs;
+        this.totalClockRegressionMs = snapshot.totalClockRegressionMs;
+        this.uuidTimestamp = snapshot.uuidTimestamp;
+        this.uuidCounter = snapshot.uuidCounter;
+        this.ulidTimestamp = snapshot.ulidTimestamp;
+        this.ulidRandom.set(snapshot.ulidRandom);
+        if (this.sequenceSlots) {
+            this.sequenceSlots.set(snapshot.sequenceSlots);
+            this.sequenceGeneration = snapshot.sequenceGeneration;
+        }
+    }
+    
+    /**
+     * Draw an unused random sequence value for the current tick
+     * 
+     * Used when `monotonic` is false. `sequenceCounter` still counts the
+     * values issued in the tick, so overflow handling is unchanged; repeated
+     * draws are re-rolled and reported as collisions.
+     * 
+     * @returns {number} Random sequence value not yet issued in this tick
+     */
+    _drawSequence() {
+        if (this.sequenceCounter === 0) {
+            // New tick: invalidate all slots by bumping the generation
+            this.sequenceGeneration = (this.sequenceGeneration + 1) >>> 0;
+            if (this.sequenceGeneration === 0) {
+                this.sequenceSlots.fill(0);
+                this.sequenceGeneration = 1;
+            }
+        }
+        
+        let sequence;
+        for (;;) {
+            if (this.randomIndex === RANDOM_POOL_SIZE) {
+                randomFillSync(this.randomPool);
+                this.randomIndex = 0;
+            }
+            sequence = this.randomPool[this.randomIndex++] & this.maxSequence;
+            if (this.sequenceSlots[sequence] !== this.sequenceGeneration) {
+                break;
+            }
+            this.collisionCount++;
+        }
+        
+        this.sequenceSlots[sequence] = this.sequenceGeneration;
+        return sequence;
+    }
+    
+    /**
+     * Track a regressed clock reading. Depths are updated on every reading;
+     * the count, total and onClockRegression hook once per regression.
+     * @param {number} now - Current clock reading in ticks
+     * @param {number} regressionMs - Distance behind the highest reading in ms
+     */
+    _recordClockRegression(now, regressionMs) {
+        this.lastClockRegressionMs = regressionMs;
+        this.maxClockRegressionMs = Math.max(this.maxClockRegressionMs, regressionMs);
+        if (this.inClockRegression) {
+            return;
+        }
+        
+        this.inClockRegression = true;
+        this.clockRegressionCount++;
+        this.totalClockRegressionMs += regressionMs;
+        
+        if (this.config.onClockRegression) {
+            this.config.onClockRegression({
+                regressionMs,
+                currentTimestamp: now,
+                lastTimestamp: this.lastTimestamp,
+                policy: regressionMs > this.config.maxClockRegression ? this.config.clockDriftPolicy : 'tolerated'
+            });
+        }
+    }
+    
+    /**
+     * Apply the configured overflow strategy once the sequence is exhausted
+     * @param {boolean} logical - Clock is being ignored ('continue-logical'), so never wait
+     * @returns {number} Sequence value for the issued tick, or WAIT_FOR_CLOCK for 'spin'
+     * @throws {SequenceOverflowError} With the 'throw' strategy
+     */
+    _handleOverflow(logical) {
+        this.overflowCount++;
+        
+        switch (logical ? 'borrow-future' : this.config.overflowStrategy) {
+            case 'throw':
+                throw new SequenceOverflowError(`Sequence exhausted: ${this.maxSequence + 1} values already issued for tick ${this.lastTimestamp}`);
+            case 'borrow-future':
+                if (this.lastTimestamp >= this.maxTimestamp) {
+                    throw new TimestampRangeError(`Cannot borrow tick ${this.lastTimestamp + 1}: exceeds maximum ${this.maxTimestamp}`);
+                }
+                // Issue from the next tick ahead of the clock
+                this._reserveThrough(this.lastTimestamp + 1);
+                this.lastTimestamp++;
+                this.sequenceCounter = 0;
+                this.borrowedTicks++;
+                this.generatedCount++;
+                return this.sequenceSlots ? this._drawSequence() : 0;
+            default:
+                this.waitTarget = this.lastTimestamp + 1;
+                return WAIT_FOR_CLOCK;
+        }
+    }
+
+    /**
+     * Apply the 'throw' clock drift policy to a millisecond-based ID stream
+     * 
+     * UUIDv7 and ULID keep their own last millisecond; the other policies
+     * continue on it, so only 'throw' needs checking here.
+     * 
+     * @param {number} now - Current Unix milliseconds
+     * @param {number} lastMs - Last issued Unix milliseconds of the stream
+     * @throws {ClockRegressionError} If the regression exceeds `maxClockRegression` under 'throw'
+     */
+    _assertMillisecondRegression(now, lastMs) {
+        if (now < lastMs && this.config.clockDriftPolicy === 'throw') {
+            const regressionMs = lastMs - now;
+            if (regressionMs > this.config.maxClockRegression) {
+                throw new ClockRegressionError(`Clock moved backwards by ${regressionMs}ms (tolerance ${this.config.maxClockRegression}ms)`, regressionMs);
+            }
+        }
+    }
+    
+    /**
+     * Advance UUIDv7 state to the next (Unix ms, counter) pair
+     * 
+     * A new millisecond reseeds the 12-bit counter randomly; within the same
+     * millisecond (or when the clock went backwards) the counter increments,
+     * and on counter rollover the timestamp is moved ahead of real time.
+     * Clock regressions follow the 'throw' policy as for ULIDs.
+     * 
+     * @param {Uint8Array} random - Random bytes; the first two seed the counter
+     * @returns {number} Unix milliseconds for the next UUIDv7
+     * @throws {ClockRegressionError} On regression with the 'throw' policy
+     */
+    _advanceUUIDv7(random) {
+        const now = Math.floor(this._getUnixMs());
+        this._assertMillisecondRegression(now, this.uuidTimestamp);
+        
+        if (now > this.uuidTimestamp) {
+            this.uuidTimestamp = now;
+            this.uuidCounter = ((random[0] << 8) | random[1]) & UUID_COUNTER_SEED_MASK;
+        } else if (this.uuidCounter < UUID_COUNTER_MAX) {
+            this.uuidCounter++;
+        } else {
+            this.uuidTimestamp++;
+            this.uuidCounter = 0;
+        }
+        
+        if (this.uuidTimestamp > MAX_48_BIT) {
+            throw new TimestampRangeError(`Timestamp ${this.uuidTimestamp} exceeds UUIDv7 48-bit range`);
+        }
+        
+        return this.uuidTimestamp;
+    }
+    
+    /**
+     * Advance ULID state to the next (Unix ms, random) pair
+     * 
+     * A new millisecond draws fresh randomness; within the same millisecond
+     * (or when the clock went backwards) the 80-bit random part is
+     * incremented as the ULID spec requires. If the increment overflows,
+     * generation fails as the spec requires instead of moving the timestamp.
+     * 
+     * Clock regressions beyond `maxClockRegression` throw under the 'throw'
+     * policy; the other policies keep incrementing on the last millisecond.
+     * 
+     * @returns {number} Unix milliseconds for the next ULID (random part in `ulidRandom`)
+     * @throws {SequenceOverflowError} If the random part is exhausted for the millisecond
+     * @throws {ClockRegressionError} On regression with the 'throw' policy
+     */
+    _advanceULID() {
+        const now = Math.floor(this._getUnixMs());
+        this._assertMillisecondRegression(now, this.ulidTimestamp);
+        
+        if (now > this.ulidTimestamp) {
+            this.ulidTimestamp = now;
+            randomFillSync(this.ulidRandom);
+        } else {
+            if (this.ulidRandom.every((byte) => byte === 0xFF)) {
+                throw new SequenceOverflowError(`ULID random part exhausted for millisecond ${this.ulidTimestamp}`);
+            }
+            for (let i = ULID_RANDOM_BYTES - 1; i >= 0; i--) {
+                if (this.ulidRandom[i] < 0xFF) {
+                    this.ulidRandom[i]++;
+                    break;
+                }
+                this.ulidRandom[i] = 0;
+            }
+        }
+        
+        if (this.ulidTimestamp > MAX_48_BIT) {
+            throw new TimestampRangeError(`Timestamp ${this.ulidTimestamp} exceeds ULID 48-bit range`);
+        }
+        
+        return this.ulidTimestamp;
+    }
+    
+    /**
+     * Split a raw value into its layout fields
+     * 
+     * @param {number|bigint} raw - Raw value produced with this generator's layout (BigInt for any width)
+     * @returns {{timestamp: number, nodeId: number, sequence: number}} Ticks since epoch, node ID and sequence
+     */
+    decomposeRaw(raw) {
+        if (typeof raw === 'bigint') {
+            return {
+                timestamp: Number(raw >> this.timestampShift),
+                nodeId: Number((raw >> this.sequenceShift) & ((1n << BigInt(this.config.nodeBits)) - 1n)),
+                sequence: Number(raw & BigInt(this.maxSequence))
+            };
+        }
+        
+        const timestamp = Math.floor(raw / this.timestampMultiplier);
+        const remainder = raw - timestamp * this.timestampMultiplier;
+        const nodeId = Math.floor(remainder / this.sequenceMultiplier);
+        return {
+            timestamp,
+            nodeId,
+            sequence: remainder - nodeId * this.sequenceMultiplier
+        };
+    }
+
+    /**
+     * Describe the representable time range of this layout
+     * 
+     * @returns {object} Range info: epoch, maxTimestamp, maxDate, totalMs, elapsedMs, remainingMs, usedPercent, expired
+     */
+    getRangeInfo() {
+        const maxUnixMs = this.epoch + this.unit.toMs(this.maxTimestamp);
+        const totalMs = maxUnixMs - this.epoch;
+        const elapsedMs = this._getUnixMs() - this.epoch;
+        return {
+            epoch: new Date(this.epoch),
+            maxTimestamp: this.maxTimestamp,
+            maxDate: new Date(maxUnixMs),
+            totalMs,
+            elapsedMs,
+            remainingMs: Math.max(0, totalMs - elapsedMs),
+            usedPercent: Math.min(100, Math.max(0, elapsedMs / totalMs * 100)),
+            expired: elapsedMs > totalMs
+        };
+    }
+    
+    /**
+     * Get current generator statistics
+     * 
+     * @returns {object} Statistics about timestamp generation
      */
     getStats() {
         return {
+            range: this.getRangeInfo(),
             lastTimestamp: this.lastTimestamp,
             sequenceCounter: this.sequenceCounter,
             maxSequence: this.maxSequence,
+            maxTimestamp: this.maxTimestamp,
             generatedCount: this.generatedCount,
             overflowCount: this.overflowCount,
+            overflowStrategy: this.config.overflowStrategy,
+            borrowedTicks: this.borrowedTicks,
+            reservedUntil: this.reservedUntil,
+            collisionCount: this.collisionCount,
+            clockRegressionCount: this.clockRegressionCount,
+            lastClockRegressionMs: this.lastClockRegressionMs,
+            maxClockRegressionMs: this.maxClockRegressionMs,
+            totalClockRegressionMs: this.totalClockRegressionMs,
             config: { ...this.config }
         };
     }
 }
 
-// Global generator instance for backward compatibility
-const defaultGenerator = new TimestampGenerator();
+/**
+ * Timestamp generator whose monotonic state lives in a SharedArrayBuffer
+ * 
+ * Generators constructed over the same buffer (e.g. one per worker thread,
+ * with `buffer` passed in `workerData`) share a single `[ tick | sequence ]`
+ * state word that is advanced with Atomics.compareExchange, so together they
+ * never issue the same value. All of them must use the same layout; the
+ * buffer records it and mismatched generators are rejected.
+ */
+class SharedTimestampGenerator extends TimestampGenerator {
+    /**
+     * @param {object} config - Generator configuration, plus:
+     * @param {SharedArrayBuffer} config.buffer - Shared state from another generator's `buffer` (a new one is allocated if omitted)
+     * @throws {InvalidConfigError} If the buffer, layout or mode cannot be shared
+     */
+    constructor(config = {}) {
+        const { buffer = new SharedArrayBuffer(SHARED_STATE_BYTES), ...generatorConfig } = config || {};
+        super(generatorConfig);
+        
+        if (!(buffer instanceof SharedArrayBuffer) || buffer.byteLength < SHARED_STATE_BYTES) {
+            throw new InvalidConfigError(`Shared state buffer must be a SharedArrayBuffer of at least ${SHARED_STATE_BYTES} bytes`);
+        }
+        if (!this.config.monotonic) {
+            throw new InvalidConfigError('SharedTimestampGenerator requires monotonic mode');
+        }
+        if (this.config.stateStore) {
+            throw new InvalidConfigError('SharedTimestampGenerator does not support stateStore');
+        }
+        // The state word is a signed 64-bit integer
+        if (this.maxTimestamp * this.sequenceMultiplier >= Math.pow(2, 63)) {
+            throw new InvalidConfigError('Layout does not fit the 63-bit shared state: reduce sequenceBits or use a narrower width');
+        }
+        
+        this.buffer = buffer;
+        this.state = new BigInt64Array(buffer, 0, SHARED_STATE_SLOTS);
+        this.sequenceMaskBig = BigInt(this.maxSequence);
+        
+        // First generator on the buffer records the layout; later ones must match it
+        const fingerprint = BigInt(
+            this.config.sequenceBits |
+            (this.config.nodeBits << 8) |
+            (TAG_PRECISIONS.indexOf(this.config.precision) << 16) |
+            (this.config.bits << 24)
+        );
+        for (const [slot, expected] of [[1, fingerprint], [2, BigInt(this.epoch)]]) {
+            const previous = Atomics.compareExchange(this.state, slot, 0n, expected);
+            if (previous !== 0n && previous !== expected) {
+                throw new InvalidConfigError('Shared state buffer is in use by a generator with a different layout or epoch');
+            }
+        }
+    }
+    
+    /**
+     * Advance the shared state by one ID
+     * 
+     * Runs the regular TimestampGenerator policies against the tick and
+     * sequence read from the shared state word, then publishes the result
+     * with a compare-and-swap, retrying if another thread advanced it first.
+     * 
+     * @returns {number} Sequence value for `lastTimestamp`, or WAIT_FOR_CLOCK
+     */
+    _nextSequence() {
+        for (;;) {
+            const current = Atomics.load(this.state, 0);
+            const { generatedCount, overflowCount, borrowedTicks } = this;
+            this.lastTimestamp = Number(current >> this.sequenceShift);
+            this.sequenceCounter = Number(current & this.sequenceMaskBig);
+            
+            const sequence = super._nextSequence();
+            if (sequence === WAIT_FOR_CLOCK) {
+                return sequence;
+            }
+            
+            const next = (BigInt(this.lastTimestamp) << this.sequenceShift) | BigInt(sequence);
+            if (Atomics.compareExchange(this.state, 0, current, next) === current) {
+                return sequence;
+            }
+            // Lost the race: undo this attempt's counters and retry on the new state
+            this.generatedCount = generatedCount;
+            this.overflowCount = overflowCount;
+            this.borrowedTicks = borrowedTicks;
+        }
+    }
+    
+    /**
+     * Reset this generator and the shared state
+     * 
+     * Affects every generator on the same buffer.
+     */
+    reset() {
+        super.reset();
+        Atomics.store(this.state, 0, 0n);
+    }
+    
+    /**
+     * Capture the generation state, with the tick and sequence read from the shared state
+     * @returns {object} Snapshot of the generator state
+     */
+    snapshot() {
+        const current = Atomics.load(this.state, 0);
+        return {
+            ...super.snapshot(),
+            lastTimestamp: Number(current >> this.sequenceShift),
+            sequenceCounter: Number(current & this.sequenceMaskBig)
+        };
+    }
+    
+    /**
+     * Reinstate a snapshot, including the shared tick and sequence
+     * 
+     * Affects every generator on the same buffer.
+     * 
+     * @param {object} snapshot - Snapshot from a generator with the same layout
+     */
+    restore(snapshot) {
+        super.restore(snapshot);
+        Atomics.store(this.state, 0, (BigInt(this.lastTimestamp) << this.sequenceShift) | BigInt(this.sequenceCounter));
+    }
+    
+    /**
+     * Generate many raw 48-bit timestamps in one call
+     * 
+     * Values are claimed one at a time from the shared state, so batches from
+     * different threads interleave but never collide.
+     * 
+     * @param {number} count - Number of timestamps to generate
+     * @returns {Float64Array} Raw 48-bit timestamps in generation order
+     */
+    generateRawBatch(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new InvalidConfigError(`Invalid count: ${count}. Must be a non-negative integer`);
+        }
+        
+        const results = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            results[i] = this.generateRaw();
+        }
+        return results;
+    }
+}
+
+// Global generator instance for backward compatibility
+const defaultGenerator = new TimestampGenerator();
+
+// Default generators for the BigInt-backed layouts
+const defaultWideGenerators = {
+    64: new TimestampGenerator({ bits: 64 }),
+    128: new TimestampGenerator({ bits: 128 })
+};
+
+/**
+ * Optimized Base64URL encoding for 48-bit integers
+ * 
+ * Uses bitwise operations for maximum performance.
+ * Handles large numbers correctly in JavaScript using bit shifts.
+ * 
+ * @param {number} value - 48-bit integer to encode
+ * @returns {string} Base64URL encoded string (8 characters)
+ */
+function encodeBase64URL48(value) {
+    if (value < 0 || value > MAX_48_BIT) {
+        throw new TimestampRangeError(`Value ${value} exceeds 48-bit range`);
+    }
+    
+    // Pre-allocate result array for performance
+    const result = new Array(8);
+    
+    // Extract 6-bit chunks using mathematical operations (8 chunks for 48 bits)
+    // Process from right to left for correct bit order
+    for (let i = 7; i >= 0; i--) {
+        result[i] = ENCODE_TABLE[value % 64]; // Get remainder when divided by 64
+        value = Math.floor(value / 64); // Integer division by 64
+    }
+    
+    return result.join('');
+}
+
+/**
+ * Binary encoding for 48-bit integers
+ * 
+ * Big-endian, so byte-wise comparison (e.g. database key order) matches
+ * numeric order.
+ * 
+ * @param {number} value - 48-bit integer to encode
+ * @returns {Uint8Array} 6-byte big-endian array
+ */
+function encodeBinary48(value) {
+    if (value < 0 || value > MAX_48_BIT) {
+        throw new TimestampRangeError(`Value ${value} exceeds 48-bit range`);
+    }
+    
+    // Split into two 24-bit halves so the byte extraction stays in 32-bit integer math
+    const high = Math.floor(value / 0x1000000);
+    const low = value - high * 0x1000000;
+    const bytes = new Uint8Array(6);
+    bytes[0] = high >>> 16;
+    bytes[1] = (high >>> 8) & 0xFF;
+    bytes[2] = high & 0xFF;
+    bytes[3] = low >>> 16;
+    bytes[4] = (low >>> 8) & 0xFF;
+    bytes[5] = low & 0xFF;
+    return bytes;
+}
+
+/**
+ * Decode a 6-byte big-endian array back to a 48-bit integer
+ * 
+ * @param {Uint8Array} bytes - Byte array (Buffer works too)
+ * @returns {number} 48-bit integer
+ * @throws {InvalidEncodingError} If the array is not 6 bytes long
+ */
+function decodeBinary48(bytes) {
+    if (bytes.length !== 6) {
+        throw new InvalidEncodingError(`Invalid binary timestamp: must be 6 bytes, got ${bytes.length}`);
+    }
+    
+    const high = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+    const low = (bytes[3] << 16) | (bytes[4] << 8) | bytes[5];
+    return high * 0x1000000 + low;
+}
+
+/**
+ * Encode a 48-bit integer with a fixed-width codec
+ * 
+ * Left-padded with the zero digit, so string order matches numeric order
+ * for the sortable alphabets.
+ * 
+ * @param {number} value - 48-bit integer to encode
+ * @param {object} codec - Codec from buildCodec()
+ * @param {number} length - Output width (default: `codec.length`, enough for any 48-bit value)
+ * @returns {string} Encoded string of `length` characters
+ */
+function encodeWithCodec(value, codec, length = codec.length) {
+    if (value < 0 || value > MAX_48_BIT) {
+        throw new TimestampRangeError(`Value ${value} exceeds 48-bit range`);
+    }
+    
+    const { radix, encodeTable } = codec;
+    const result = new Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        result[i] = encodeTable[value % radix];
+        value = Math.floor(value / radix);
+    }
+    return result.join('');
+}
+
+/**
+ * Decode a fixed-width codec string back to a 48-bit integer
+ * 
+ * @param {string} encoded - Encoded string
+ * @param {object} codec - Codec from buildCodec()
+ * @returns {number} 48-bit integer
+ * @throws {InvalidEncodingError} If the length, a character or the value is invalid
+ */
+function decodeWithCodec(encoded, codec) {
+    const { name, radix, length, decodeTable } = codec;
+    if (typeof encoded !== 'string' || encoded.length !== length) {
+        throw new InvalidEncodingError(`Invalid ${name} timestamp format: must be ${length} characters`);
+    }
+    
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        const charCode = encoded.charCodeAt(i);
+        const digit = charCode < 128 ? decodeTable[charCode] : 255;
+        if (digit === 255) {
+            throw new InvalidEncodingError(`Invalid ${name} character: ${encoded[i]}`);
+        }
+        value = value * radix + digit;
+        // Stop before precision is lost; anything above 48 bits is invalid anyway
+        if (value > MAX_48_BIT) {
+            throw new InvalidEncodingError(`Invalid ${name} timestamp: value exceeds 48-bit range`);
+        }
+    }
+    return value;
+}
+
+/**
+ * Check whether a string decodes with a codec
+ * 
+ * @param {string} encoded - Encoded string
+ * @param {object} codec - Codec from buildCodec()
+ * @returns {boolean} True if valid
+ */
+function isValidWithCodec(encoded, codec) {
+    try {
+        decodeWithCodec(encoded, codec);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Crockford Base32 encoding for 48-bit integers (ULID alphabet)
+ * @param {number} value - 48-bit integer to encode
+ * @returns {string} 10-character sortable string
+ */
+function encodeBase32(value) {
+    return encodeWithCodec(value, CODECS.get('base32'));
+}
+
+/**
+ * Decode Crockford Base32 (case-insensitive; I/L read as 1, O as 0)
+ * @param {string} encoded - 10-character Crockford Base32 string
+ * @returns {number} 48-bit integer
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeBase32(encoded) {
+    return decodeWithCodec(encoded, CODECS.get('base32'));
+}
+
+/**
+ * Validate a Crockford Base32 timestamp
+ * @param {string} encoded - String to check
+ * @returns {boolean} True if valid
+ */
+function isValidBase32(encoded) {
+    return isValidWithCodec(encoded, CODECS.get('base32'));
+}
+
+/**
+ * Sortable Base64 encoding for 48-bit integers
+ * 
+ * Same 64 characters as Base64URL, reordered to ASCII order
+ * (`-`, digits, upper case, `_`, lower case).
+ * 
+ * @param {number} value - 48-bit integer to encode
+ * @returns {string} 8-character sortable string
+ */
+function encodeSortableBase64(value) {
+    return encodeWithCodec(value, CODECS.get('base64sort'));
+}
+
+/**
+ * Decode sortable Base64
+ * @param {string} encoded - 8-character sortable Base64 string
+ * @returns {number} 48-bit integer
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeSortableBase64(encoded) {
+    return decodeWithCodec(encoded, CODECS.get('base64sort'));
+}
+
+/**
+ * Validate a sortable Base64 timestamp
+ * @param {string} encoded - String to check
+ * @returns {boolean} True if valid
+ */
+function isValidSortableBase64(encoded) {
+    return isValidWithCodec(encoded, CODECS.get('base64sort'));
+}
+
+/**
+ * Base62 encoding for 48-bit integers
+ * @param {number} value - 48-bit integer to encode
+ * @returns {string} 9-character sortable alphanumeric string
+ */
+function encodeBase62(value) {
+    return encodeWithCodec(value, CODECS.get('base62'));
+}
+
+/**
+ * Decode Base62
+ * @param {string} encoded - 9-character Base62 string
+ * @returns {number} 48-bit integer
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeBase62(encoded) {
+    return decodeWithCodec(encoded, CODECS.get('base62'));
+}
+
+/**
+ * Validate a Base62 timestamp
+ * @param {string} encoded - String to check
+ * @returns {boolean} True if valid
+ */
+function isValidBase62(encoded) {
+    return isValidWithCodec(encoded, CODECS.get('base62'));
+}
+
+/**
+ * Base36 encoding for 48-bit integers
+ * @param {number} value - 48-bit integer to encode
+ * @returns {string} 10-character sortable lower-case alphanumeric string
+ */
+function encodeBase36(value) {
+    return encodeWithCodec(value, CODECS.get('base36'));
+}
+
+/**
+ * Decode Base36 (case-insensitive)
+ * @param {string} encoded - 10-character Base36 string
+ * @returns {number} 48-bit integer
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeBase36(encoded) {
+    return decodeWithCodec(encoded, CODECS.get('base36'));
+}
+
+/**
+ * Validate a Base36 timestamp
+ * @param {string} encoded - String to check
+ * @returns {boolean} True if valid
+ */
+function isValidBase36(encoded) {
+    return isValidWithCodec(encoded, CODECS.get('base36'));
+}
+
+/**
+ * Register a custom alphabet as a named output format
+ * 
+ * The radix is the alphabet length and the output width is the shortest that
+ * holds every 48-bit value. Values sort lexicographically only when the
+ * alphabet itself is in ascending character order.
+ * 
+ * @param {string} name - Format name, usable wherever an output format is accepted
+ * @param {string} alphabet - Unique ASCII digits in ascending value order
+ * @param {object} options - Decoding options
+ * @param {boolean} options.caseInsensitive - Also accept the other letter case when decoding
+ * @param {object} options.aliases - Extra characters accepted when decoding, mapped to alphabet characters
+ * @returns {object} Frozen codec: name, alphabet, radix, length
+ * @throws {InvalidConfigError} If the name is taken or the alphabet is invalid
+ */
+function registerAlphabet(name, alphabet, options = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new InvalidConfigError('Alphabet name must be a non-empty string');
+    }
+    if (RESERVED_FORMATS.includes(name) || CODECS.has(name)) {
+        throw new InvalidConfigError(`Alphabet name '${name}' is already in use`);
+    }
+    
+    const codec = buildCodec(name, alphabet, options);
+    CODECS.set(name, codec);
+    return describeCodec(codec);
+}
+
+/**
+ * Look up a registered alphabet by format name
+ * 
+ * @param {string} name - Format name
+ * @returns {object|null} Codec description, or null if not registered
+ */
+function getAlphabet(name) {
+    const codec = CODECS.get(name);
+    return codec ? describeCodec(codec) : null;
+}
+
+/**
+ * Public view of a codec without its lookup tables
+ * 
+ * @param {object} codec - Codec from buildCodec()
+ * @returns {object} Frozen { name, alphabet, radix, length }
+ */
+function describeCodec(codec) {
+    const { name, alphabet, radix, length } = codec;
+    return Object.freeze({ name, alphabet, radix, length });
+}
+
+/**
+ * Resolve a registered codec or throw
+ * 
+ * @param {string} name - Format name
+ * @returns {object} Codec
+ * @throws {InvalidConfigError} If no alphabet is registered under the name
+ */
+function resolveCodec(name) {
+    const codec = CODECS.get(name);
+    if (!codec) {
+        throw new InvalidConfigError(`Unknown alphabet: ${name}`);
+    }
+    return codec;
+}
+
+/**
+ * Encode a 48-bit integer with a registered alphabet
+ * @param {number} value - 48-bit integer to encode
+ * @param {string} name - Alphabet name
+ * @returns {string} Fixed-width encoded string
+ * @throws {InvalidConfigError} If the alphabet is not registered
+ */
+function encodeWithAlphabet(value, name) {
+    return encodeWithCodec(value, resolveCodec(name));
+}
+
+/**
+ * Decode a string encoded with a registered alphabet
+ * @param {string} encoded - Encoded string
+ * @param {string} name - Alphabet name
+ * @returns {number} 48-bit integer
+ * @throws {InvalidConfigError} If the alphabet is not registered
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeWithAlphabet(encoded, name) {
+    return decodeWithCodec(encoded, resolveCodec(name));
+}
+
+/**
+ * Validate a string encoded with a registered alphabet
+ * @param {string} encoded - String to check
+ * @param {string} name - Alphabet name
+ * @returns {boolean} True if valid
+ * @throws {InvalidConfigError} If the alphabet is not registered
+ */
+function isValidWithAlphabet(encoded, name) {
+    return isValidWithCodec(encoded, resolveCodec(name));
+}
+
+/**
+ * Base64URL encoding prefixed with a layout tag
+ * 
+ * The 3-character tag records the tag version, sequence bits, node bits and
+ * precision so decoders can split the value without the generator config.
+ * A non-default epoch is recorded in 7 more characters after the tag, so the
+ * value decodes to the right date without the generator config as well.
+ * 
+ * @param {number} value - 48-bit integer to encode
+ * @param {object} layout - Layout with sequenceBits, nodeBits, precision and optional epoch
+ * @returns {string} Tagged Base64URL string (11 characters, or 18 with an epoch)
+ * @throws {TimestampRangeError} If the epoch is too large to record
+ */
+function encodeTaggedBase64URL48(value, layout) {
+    const word = (layout.sequenceBits << 7) | (layout.nodeBits << 2) | TAG_PRECISIONS.indexOf(layout.precision);
+    const layoutChars = ENCODE_TABLE[word >>> 6] + ENCODE_TABLE[word & 0x3F];
+    const epoch = layout.epoch === undefined ? CUSTOM_EPOCH : layout.epoch;
+    if (epoch === CUSTOM_EPOCH) {
+        return ENCODE_TABLE[LAYOUT_TAG_VERSION] + layoutChars + encodeBase64URL48(value);
+    }
+    
+    if (!Number.isSafeInteger(epoch) || epoch < 0 || epoch > MAX_TAGGED_EPOCH) {
+        throw new TimestampRangeError(`Epoch ${epoch} cannot be recorded in a layout tag`);
+    }
+    let epochChars = '';
+    let remaining = epoch;
+    for (let i = 0; i < EPOCH_TAG_LENGTH; i++) {
+        epochChars = ENCODE_TABLE[remaining % 64] + epochChars;
+        remaining = Math.floor(remaining / 64);
+    }
+    return ENCODE_TABLE[EPOCH_TAG_VERSION] + layoutChars + epochChars + encodeBase64URL48(value);
+}
+
+/**
+ * Read the layout tag of a self-describing encoded timestamp
+ * 
+ * @param {string} encoded - Encoded timestamp
+ * @returns {object|null} Layout (precision, epoch, timestampBits, nodeBits, sequenceBits) or null if untagged
+ * @throws {InvalidEncodingError} If the tag is malformed
+ */
+function decodeLayoutTag(encoded) {
+    if (typeof encoded !== 'string' || (encoded.length !== TAGGED_LENGTH && encoded.length !== EPOCH_TAGGED_LENGTH)) {
+        return null;
+    }
+    
+    const version = decodeBase64URLChars(encoded, 0, 1);
+    const expected = encoded.length === TAGGED_LENGTH ? LAYOUT_TAG_VERSION : EPOCH_TAG_VERSION;
+    if (version !== expected) {
+        throw new InvalidEncodingError(`Unsupported layout tag version: ${version}`);
+    }
+    
+    const word = decodeBase64URLChars(encoded, 1, 2);
+    const sequenceBits = word >>> 7;
+    const nodeBits = (word >>> 2) & 0x1F;
+    const precision = TAG_PRECISIONS[word & 0x3];
+    if (sequenceBits < 1 || sequenceBits > 16 || nodeBits > 16 ||
+        sequenceBits + nodeBits > MAX_LAYOUT_BITS || precision === undefined) {
+        throw new InvalidEncodingError(`Invalid layout tag: ${encoded.slice(0, LAYOUT_TAG_LENGTH)}`);
+    }
+    
+    return {
+        bits: 48,
+        precision,
+        epoch: version === EPOCH_TAG_VERSION ? decodeBase64URLChars(encoded, LAYOUT_TAG_LENGTH, EPOCH_TAG_LENGTH) : CUSTOM_EPOCH,
+        timestampBits: 48 - sequenceBits - nodeBits,
+        nodeBits,
+        sequenceBits
+    };
+}
+
+/**
+ * Resolve the generator of a functional API call
+ * 
+ * @param {object} options - Options that may carry a generator
+ * @param {number} bits - Required layout width, if the operation needs one
+ * @returns {TimestampGenerator} `options.generator`, or the default generator for the width
+ * @throws {InvalidConfigError} If options or the generator are invalid, or the width differs
+ */
+function resolveGenerator(options, bits) {
+    // Validate options parameter
+    if (options !== undefined && options !== null && typeof options !== 'object') {
+        throw new InvalidConfigError('Options must be an object or null');
+    }
+    
+    const generator = (options && options.generator) || (bits > 48 ? defaultWideGenerators[bits] : defaultGenerator);
+    
+    // Validate generator
+    if (!(generator instanceof TimestampGenerator)) {
+        throw new InvalidConfigError('Generator must be an instance of TimestampGenerator');
+    }
+    if (bits !== undefined && generator.config.bits !== bits) {
+        throw new InvalidConfigError(`Generator layout is ${generator.config.bits} bits, expected ${bits}`);
+    }
+    return generator;
+}
+
+/**
+ * Main API: Generate 48-bit timestamp with Base64URL encoding
+ * 
+ * Returns a UUIDv7-compatible timestamp encoded as Base64URL string.
+ * Guarantees monotonic ordering and handles edge cases gracefully.
+ * 
+ * @param {object} options - Optional configuration
+ * @returns {string|number|Uint8Array} Encoded 48-bit timestamp (Base64URL by default)
+ */
+function generateTimestamp48(options = {}) {
+    const generator = resolveGenerator(options);
+    
+    const rawValue = generator.generateRaw();
+    return formatRawValue(rawValue, options.format || generator.config.format, generator);
+}
+
+/**
+ * Generate many 48-bit timestamps in one call
+ * 
+ * Options and format are validated once, and sequence values are reserved
+ * in contiguous ranges per clock read (see TimestampGenerator#generateRawBatch).
+ * 
+ * @param {number} count - Number of timestamps to generate
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {Array<string>|Float64Array} Encoded timestamps, or raw values for 'number'
+ */
+function generateTimestamps48(count, options = {}) {
+    const generator = resolveGenerator(options);
+    
+    const format = options.format || generator.config.format;
+    validateOutputFormat(format);
+    
+    const raw = generator.generateRawBatch(count);
+    if (format === 'number') {
+        return raw;
+    }
+    
+    // Dispatch on format once rather than per value
+    let encode = encodeBase64URL48;
+    if (format === 'hex') {
+        encode = (value) => value.toString(16).padStart(12, '0');
+    } else if (format === 'binary') {
+        encode = encodeBinary48;
+    } else if (CODECS.has(format)) {
+        const codec = CODECS.get(format);
+        encode = (value) => encodeWithCodec(value, codec);
+    } else if (generator.config.selfDescribing) {
+        encode = (value) => encodeTaggedBase64URL48(value, generator.layout);
+    }
+    
+    const results = new Array(count);
+    for (let i = 0; i < count; i++) {
+        results[i] = encode(raw[i]);
+    }
+    return results;
+}
+
+/**
+ * Async variant of generateTimestamp48 that never busy-waits
+ * 
+ * On sequence overflow with the 'spin' strategy it awaits the next tick
+ * instead of blocking the event loop.
+ * 
+ * @param {object} options - Optional configuration
+ * @returns {Promise<string|number>} Encoded 48-bit timestamp
+ */
+async function generateTimestamp48Async(options = {}) {
+    const generator = resolveGenerator(options);
+    
+    const format = options.format || generator.config.format;
+    validateOutputFormat(format);
+    const rawValue = await generator.generateRawAsync();
+    return formatRawValue(rawValue, format, generator);
+}
+
+/**
+ * Validate an output format name
+ * 
+ * @param {string} format - Output format
+ * @throws {InvalidConfigError} If format is not supported
+ */
+function validateOutputFormat(format) {
+    if (!['base64url', 'hex', 'number', 'binary'].includes(format) && !CODECS.has(format)) {
+        throw new InvalidConfigError(`Invalid format: ${format}. Must be 'base64url', 'hex', 'number', 'binary', or one of ${[...CODECS.keys()].map((name) => `'${name}'`).join(', ')}`);
+    }
+}
+
+/**
+ * Encode a raw value in the requested output format
+ * 
+ * @param {number} rawValue - Raw 48-bit value
+ * @param {string} format - Output format ('base64url', 'hex', 'number', 'binary', or a codec name)
+ * @param {TimestampGenerator} generator - Generator that produced the value
+ * @returns {string|number|Uint8Array} Encoded timestamp
+ */
+function formatRawValue(rawValue, format, generator) {
+    // Validate format
+    validateOutputFormat(format);
+    
+    switch (format) {
+        case 'base64url':
+            return generator.config.selfDescribing
+                ? encodeTaggedBase64URL48(rawValue, generator.layout)
+                : encodeBase64URL48(rawValue);
+        case 'hex':
+            return rawValue.toString(16).padStart(12, '0');
+        case 'number':
+            return rawValue;
+        case 'binary':
+            return encodeBinary48(rawValue);
+        default:
+            return CODECS.has(format) ? encodeWithCodec(rawValue, CODECS.get(format)) : encodeBase64URL48(rawValue);
+    }
+}
+
+/**
+ * Generate raw 48-bit timestamp as integer
+ * 
+ * Useful for applications that need the raw timestamp value
+ * for custom encoding or mathematical operations.
+ * 
+ * @param {object} options - Optional configuration
+ * @returns {number} 48-bit timestamp as integer
+ */
+function generateRawTimestamp(options = {}) {
+    const generator = options.generator || defaultGenerator;
+    const rawValue = generator.generateRaw();
+    // Extract only the timestamp part and convert back to Unix timestamp
+    const timestampOnly = Math.floor(rawValue / generator.timestampMultiplier);
+    return generator.unit.toMs(timestampOnly) + generator.epoch;
+}
+
+/**
+ * Generate raw 48-bit value for encoding (internal use)
+ * 
+ * @param {object} options - Optional configuration
+ * @returns {number} Raw 48-bit value without epoch offset
+ */
+function generateRawValue(options = {}) {
+    const generator = options.generator || defaultGenerator;
+    const rawValue = generator.generateRaw();
+    // Extract only the timestamp part (remove node and sequence bits)
+    const timestampOnly = Math.floor(rawValue / generator.timestampMultiplier);
+    return timestampOnly;
+}
+
+/**
+ * Decode a run of Base64URL characters into an integer
+ * 
+ * @param {string} encoded - Source string
+ * @param {number} start - Index of the first character
+ * @param {number} length - Number of characters to decode
+ * @returns {number} Decoded integer
+ * @throws {InvalidEncodingError} If a character is not in the alphabet
+ */
+function decodeBase64URLChars(encoded, start, length) {
+    let result = 0;
+    for (let i = start; i < start + length; i++) {
+        const charCode = encoded.charCodeAt(i);
+        if (charCode >= 128) {
+            throw new InvalidEncodingError(`Invalid Base64URL character: ${encoded[i]}`);
+        }
+        
+        const value = DECODE_TABLE[charCode];
+        if (value === 255) {
+            throw new InvalidEncodingError(`Invalid Base64URL character: ${encoded[i]}`);
+        }
+        
+        // Use multiplication instead of bitwise operations for large numbers
+        result = result * 64 + value;
+    }
+    
+    return result;
+}
+
+/**
+ * Resolve the format encoded IDs are read in
+ * 
+ * @param {object} options - Options that may carry a format or generator
+ * @returns {string} `options.format`, else the generator's configured format, else 'base64url'
+ * @throws {InvalidConfigError} If the format is not supported
+ */
+function resolveDecodeFormat(options) {
+    const format = (options && (options.format || (options.generator && options.generator.config.format))) || 'base64url';
+    if (format !== 'base64url') {
+        validateOutputFormat(format);
+    }
+    return format;
+}
+
+/**
+ * Decode Base64URL string back to 48-bit timestamp
+ * 
+ * Optimized version using lookup table for better performance.
+ * Accepts both the plain 8-character format and the 11- or 18-character
+ * self-describing format (the layout tag is validated and skipped), as well
+ * as 6-byte big-endian arrays from the 'binary' format.
+ * 
+ * Strings in other formats are decoded when `options.format` (or the
+ * configured format of `options.generator`) is 'hex' or an alphabet name;
+ * the 'number' format also accepts raw values, and the 'number' and 'binary'
+ * formats read strings as Base64URL.
+ * 
+ * @param {string|number|Uint8Array} encoded - Encoded timestamp, 6-byte array or raw value
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {number} 48-bit timestamp as integer
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeTimestamp48(encoded, options) {
+    if (encoded instanceof Uint8Array) {
+        return decodeBinary48(encoded);
+    }
+    
+    if (options) {
+        const format = resolveDecodeFormat(options);
+        if (format === 'hex') {
+            return decodeHexValue(encoded, 48);
+        }
+        if (CODECS.has(format)) {
+            // Built-in sortable and registered custom alphabets
+            return decodeWithAlphabet(encoded, format);
+        }
+        if (format === 'number' && typeof encoded === 'number') {
+            if (!Number.isInteger(encoded) || encoded < 0 || encoded > MAX_48_BIT) {
+                throw new TimestampRangeError(`Value ${encoded} exceeds 48-bit range`);
+            }
+            return encoded;
+        }
+    }
+    
+    if (typeof encoded !== 'string' || (encoded.length !== 8 && encoded.length !== TAGGED_LENGTH && encoded.length !== EPOCH_TAGGED_LENGTH)) {
+        throw new InvalidEncodingError(`Invalid Base64URL timestamp format: must be 8 characters (or ${TAGGED_LENGTH}/${EPOCH_TAGGED_LENGTH} with a layout tag)`);
+    }
+    
+    if (encoded.length !== 8) {
+        decodeLayoutTag(encoded);
+        return decodeBase64URLChars(encoded, encoded.length - 8, 8);
+    }
+    
+    return decodeBase64URLChars(encoded, 0, 8);
+}
+
+/**
+ * Parse an encoded timestamp into its layout fields
+ * 
+ * Uses the node/sequence bits, precision and epoch of `options.generator`
+ * (the default generator if omitted) instead of the library defaults.
+ * Self-describing values use the layout and epoch from their tag instead. Strings are
+ * read in `options.format`, or the generator's configured format.
+ * 
+ * @param {string|number|Uint8Array} encoded - Encoded timestamp, 6-byte array or raw 48-bit value
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {object} Parsed fields: unixMs, date, timestamp, nodeId, sequence, raw, layout
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function parseTimestamp48(encoded, options = {}) {
+    const generator = resolveGenerator(options);
+    const format = resolveDecodeFormat({ generator, format: options.format });
+    
+    let raw;
+    if (typeof encoded === 'number') {
+        if (!Number.isInteger(encoded) || encoded < 0 || encoded > MAX_48_BIT) {
+            throw new TimestampRangeError(`Value ${encoded} exceeds 48-bit range`);
+        }
+        raw = encoded;
+    } else {
+        raw = decodeTimestamp48(encoded, { format });
+    }
+    
+    // Self-describing (Base64URL) values carry their own layout and epoch
+    const tag = format === 'hex' || CODECS.has(format) ? null : decodeLayoutTag(encoded);
+    if (tag) {
+        const sequenceMultiplier = Math.pow(2, tag.sequenceBits);
+        const timestampMultiplier = Math.pow(2, tag.sequenceBits + tag.nodeBits);
+        const timestamp = Math.floor(raw / timestampMultiplier);
+        const remainder = raw - timestamp * timestampMultiplier;
+        const nodeId = Math.floor(remainder / sequenceMultiplier);
+        const unixMs = PRECISION_UNITS[tag.precision].toMs(timestamp) + tag.epoch;
+        
+        return {
+            unixMs,
+            date: new Date(unixMs),
+            timestamp,
+            nodeId,
+            sequence: remainder - nodeId * sequenceMultiplier,
+            raw,
+            layout: Object.freeze(tag)
+        };
+    }
+    
+    const { timestamp, nodeId, sequence } = generator.decomposeRaw(raw);
+    const unixMs = generator.unit.toMs(timestamp) + generator.epoch;
+    
+    return {
+        unixMs,
+        date: new Date(unixMs),
+        timestamp,
+        nodeId,
+        sequence,
+        raw,
+        layout: generator.layout
+    };
+}
+
+/**
+ * Get timestamp as Date object
+ * 
+ * Encoded timestamps are interpreted with the node and sequence bits,
+ * precision and epoch of `options.generator` (the default generator if omitted),
+ * and strings are read in `options.format` or the generator's format.
+ * Numbers are Unix milliseconds unless that format is 'number', in which
+ * case they are raw values.
+ * 
+ * @param {string|number|Uint8Array} timestamp - Encoded timestamp (string or 6-byte array) or number
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {Date} Date object representing the timestamp
+ * @throws {InvalidEncodingError} If encoded timestamp is invalid
+ */
+function timestampToDate(timestamp, options = {}) {
+    let actualTimestamp;
+    
+    if (typeof timestamp === 'string' || timestamp instanceof Uint8Array || resolveDecodeFormat(options) === 'number') {
+        // Split the decoded raw value using the generator's layout
+        actualTimestamp = parseTimestamp48(timestamp, options).unixMs;
+    } else {
+        // For raw timestamps from generateRawTimestamp, they are already Unix timestamps
+        actualTimestamp = timestamp;
+    }
+    
+    return new Date(actualTimestamp);
+}
+
+/**
+ * Validate timestamp format and value
+ * 
+ * Accepts plain and self-describing (layout-tagged) Base64URL timestamps
+ * and 6-byte binary timestamps, or strings in `options.format` (default:
+ * the configured format of `options.generator`).
+ * 
+ * @param {string|Uint8Array} encoded - Encoded timestamp or 6-byte array
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {boolean} True if valid
+ * @throws {InvalidConfigError} If the format is not supported
+ */
+function isValidTimestamp(encoded, options = {}) {
+    const format = resolveDecodeFormat(options);
+    try {
+        const decoded = decodeTimestamp48(encoded, { format });
+        // Check if the decoded raw value is within 48-bit range
+        return decoded >= 0 && decoded <= MAX_48_BIT;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Encode a 64- or 128-bit BigInt as fixed-length Base64URL
+ * 
+ * @param {bigint} value - Value to encode
+ * @param {number} bits - Layout width (64 or 128)
+ * @returns {string} Base64URL string (11 characters for 64 bits, 22 for 128)
+ */
+function encodeBase64URLWide(value, bits) {
+    const layout = WIDE_LAYOUTS[bits];
+    if (typeof value !== 'bigint' || value < 0n || value > layout.max) {
+        throw new TimestampRangeError(`Value ${value} exceeds ${bits}-bit range`);
+    }
+    
+    const result = new Array(layout.chars);
+    for (let i = layout.chars - 1; i >= 0; i--) {
+        result[i] = ENCODE_TABLE[Number(value & 63n)];
+        value >>= 6n;
+    }
+    return result.join('');
+}
+
+/**
+ * Decode fixed-length Base64URL back to a 64- or 128-bit BigInt
+ * 
+ * @param {string} encoded - Base64URL string
+ * @param {number} bits - Layout width (64 or 128)
+ * @returns {bigint} Decoded value
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeBase64URLWide(encoded, bits) {
+    const layout = WIDE_LAYOUTS[bits];
+    if (typeof encoded !== 'string' || encoded.length !== layout.chars) {
+        throw new InvalidEncodingError(`Invalid Base64URL ${bits}-bit timestamp format: must be ${layout.chars} characters`);
+    }
+    
+    let value = 0n;
+    for (let i = 0; i < layout.chars; i++) {
+        const charCode = encoded.charCodeAt(i);
+        const digit = charCode < 128 ? DECODE_TABLE[charCode] : 255;
+        if (digit === 255) {
+            throw new InvalidEncodingError(`Invalid Base64URL character: ${encoded[i]}`);
+        }
+        value = (value << 6n) | BigInt(digit);
+    }
+    
+    if (value > layout.max) {
+        throw new InvalidEncodingError(`Invalid Base64URL ${bits}-bit timestamp: value exceeds ${bits} bits`);
+    }
+    return value;
+}
+
+/**
+ * Decode a big-endian byte array of a 64- or 128-bit ID
+ * 
+ * @param {Uint8Array} bytes - 8 or 16 bytes, most significant first
+ * @param {number} bits - Layout width (64 or 128)
+ * @returns {bigint} Decoded value
+ * @throws {InvalidEncodingError} If the array has the wrong length
+ */
+function decodeBinaryWide(bytes, bits) {
+    if (bytes.length !== bits / 8) {
+        throw new InvalidEncodingError(`Invalid binary ${bits}-bit timestamp: must be ${bits / 8} bytes, got ${bytes.length}`);
+    }
+    
+    let value = 0n;
+    for (let i = 0; i < bytes.length; i++) {
+        value = (value << 8n) | BigInt(bytes[i]);
+    }
+    return value;
+}
+
+/**
+ * Generate a 64- or 128-bit ID in the requested format
+ * 
+ * @param {number} bits - Layout width (64 or 128)
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {string|bigint} Encoded ID, or the raw BigInt for 'bigint'
+ */
+function generateWideTimestamp(bits, options = {}) {
+    const generator = resolveGenerator(options, bits);
+    const format = (options && options.format) || generator.config.format;
+    validateWideFormat(format);
+    
+    return formatWideValue(generator.generateBigInt(), bits, format);
+}
+
+/**
+ * Validate a 64- or 128-bit output format
+ * 
+ * @param {string} format - Output format
+ * @throws {InvalidConfigError} If format is not supported
+ */
+function validateWideFormat(format) {
+    if (!['base64url', 'hex', 'bigint'].includes(format)) {
+        throw new InvalidConfigError(`Invalid format: ${format}. Must be 'base64url', 'hex', or 'bigint'`);
+    }
+}
+
+/**
+ * Encode a raw 64- or 128-bit value in the requested output format
+ * 
+ * @param {bigint} raw - Raw value
+ * @param {number} bits - Layout width (64 or 128)
+ * @param {string} format - Output format ('base64url', 'hex' or 'bigint')
+ * @returns {string|bigint} Encoded ID, or the raw BigInt for 'bigint'
+ */
+function formatWideValue(raw, bits, format) {
+    switch (format) {
+        case 'hex':
+            return raw.toString(16).padStart(bits / 4, '0');
+        case 'bigint':
+            return raw;
+        default:
+            return encodeBase64URLWide(raw, bits);
+    }
+}
+
+/**
+ * Convert a 64- or 128-bit ID to a Date using the generator's layout
+ * 
+ * @param {string|bigint} value - Base64URL encoded ID or raw BigInt
+ * @param {number} bits - Layout width (64 or 128)
+ * @param {object} options - Optional configuration (generator)
+ * @returns {Date} Date of the ID's timestamp
+ */
+function wideTimestampToDate(value, bits, options = {}) {
+    const generator = resolveGenerator(options, bits);
+    let raw;
+    if (typeof value === 'bigint') {
+        if (value < 0n || value > WIDE_LAYOUTS[bits].max) {
+            throw new TimestampRangeError(`Value ${value} exceeds ${bits}-bit range`);
+        }
+        raw = value;
+    } else {
+        raw = decodeBase64URLWide(value, bits);
+    }
+    
+    const { timestamp } = generator.decomposeRaw(raw);
+    return new Date(generator.epoch + generator.unit.toMs(timestamp));
+}
+
+/**
+ * Generate a 64-bit (Snowflake-sized) ID
+ * 
+ * Uses a 64-bit generator (`bits: 64`) from `options.generator`, or a
+ * default one with the library's default layout.
+ * 
+ * @param {object} options - Optional configuration (generator, format: 'base64url' | 'hex' | 'bigint')
+ * @returns {string|bigint} 11-character Base64URL, 16-digit hex or BigInt
+ */
+function generateTimestamp64(options = {}) {
+    return generateWideTimestamp(64, options);
+}
+
+/**
+ * Generate a 128-bit ID
+ * 
+ * @param {object} options - Optional configuration (generator, format: 'base64url' | 'hex' | 'bigint')
+ * @returns {string|bigint} 22-character Base64URL, 32-digit hex or BigInt
+ */
+function generateTimestamp128(options = {}) {
+    return generateWideTimestamp(128, options);
+}
+
+/**
+ * Base64URL encoding for 64-bit BigInts
+ * @param {bigint} value - 64-bit value to encode
+ * @returns {string} Base64URL encoded string (11 characters)
+ */
+function encodeBase64URL64(value) {
+    return encodeBase64URLWide(value, 64);
+}
+
+/**
+ * Base64URL encoding for 128-bit BigInts
+ * @param {bigint} value - 128-bit value to encode
+ * @returns {string} Base64URL encoded string (22 characters)
+ */
+function encodeBase64URL128(value) {
+    return encodeBase64URLWide(value, 128);
+}
+
+/**
+ * Decode an 11-character Base64URL string to a 64-bit BigInt
+ * @param {string} encoded - Base64URL encoded ID
+ * @returns {bigint} 64-bit value
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeTimestamp64(encoded) {
+    return decodeBase64URLWide(encoded, 64);
+}
+
+/**
+ * Decode a 22-character Base64URL string to a 128-bit BigInt
+ * @param {string} encoded - Base64URL encoded ID
+ * @returns {bigint} 128-bit value
+ * @throws {InvalidEncodingError} If encoding is invalid
+ */
+function decodeTimestamp128(encoded) {
+    return decodeBase64URLWide(encoded, 128);
+}
+
+/**
+ * Get a 64-bit ID as Date object
+ * @param {string|bigint} value - Base64URL encoded ID or raw BigInt
+ * @param {object} options - Optional configuration (generator with `bits: 64`)
+ * @returns {Date} Date object representing the timestamp
+ */
+function timestamp64ToDate(value, options = {}) {
+    return wideTimestampToDate(value, 64, options);
+}
+
+/**
+ * Get a 128-bit ID as Date object
+ * @param {string|bigint} value - Base64URL encoded ID or raw BigInt
+ * @param {object} options - Optional configuration (generator with `bits: 128`)
+ * @returns {Date} Date object representing the timestamp
+ */
+function timestamp128ToDate(value, options = {}) {
+    return wideTimestampToDate(value, 128, options);
+}
+
+/**
+ * Get current timestamp statistics
+ * 
+ * @param {object} options - Optional configuration
+ * @returns {object} Statistics about timestamp generation
+ */
+function getTimestampStats(options = {}) {
+    const generator = resolveGenerator(options);
+    
+    return {
+        ...generator.getStats(),
+        maxValue: MAX_48_BIT,
+        epochOffset: generator.epoch
+    };
+}
+
+/**
+ * Generate RFC 9562 UUIDv7 string
+ * 
+ * The 48-bit Unix millisecond timestamp comes from the generator's time
+ * source; `rand_a` is a monotonic 12-bit counter (§ 6.2 method 1) and
+ * `rand_b` is 62 bits of cryptographically secure randomness.
+ * 
+ * @param {object} options - Optional configuration
+ * @returns {string} UUIDv7 in 8-4-4-4-12 hex form
+ * @throws {ClockRegressionError} On clock regression with the 'throw' policy
+ */
+function generateUUIDv7(options = {}) {
+    const generator = resolveGenerator(options);
+    
+    // Bytes 0-1 seed the counter, bytes 8-15 become rand_b
+    const bytes = randomFillSync(new Uint8Array(16));
+    let unixMs = generator._advanceUUIDv7(bytes);
+    const counter = generator.uuidCounter;
+    
+    for (let i = 5; i >= 0; i--) {
+        bytes[i] = unixMs % 256;
+        unixMs = Math.floor(unixMs / 256);
+    }
+    bytes[6] = UUID_VERSION_7 | (counter >>> 8);
+    bytes[7] = counter & 0xFF;
+    bytes[8] = UUID_VARIANT | (bytes[8] & 0x3F);
+    
+    return formatUUIDBytes(bytes);
+}
+
+/**
+ * Format 16 bytes as an 8-4-4-4-12 hex UUID string
+ * 
+ * @param {Uint8Array} bytes - 16 bytes
+ * @returns {string} UUID string
+ */
+function formatUUIDBytes(bytes) {
+    let result = '';
+    for (let i = 0; i < 16; i++) {
+        if (i === 4 || i === 6 || i === 8 || i === 10) {
+            result += '-';
+        }
+        result += HEX_TABLE[bytes[i]];
+    }
+    return result;
+}
 
 /**
- * Optimized Base64URL encoding for 48-bit integers
+ * Parse a UUIDv7 string
  * 
- * Uses bitwise operations for maximum performance.
- * Handles large numbers correctly in JavaScript using bit shifts.
+ * @param {string} uuid - UUIDv7 in 8-4-4-4-12 hex form
+ * @returns {object} Parsed fields: unixMs, date, counter (rand_a)
+ * @throws {InvalidEncodingError} If the string is not a UUIDv7
+ */
+function parseUUIDv7(uuid) {
+    if (typeof uuid !== 'string' || !UUIDV7_PATTERN.test(uuid)) {
+        throw new InvalidEncodingError(`Invalid UUIDv7: ${uuid}`);
+    }
+    
+    const unixMs = parseInt(uuid.slice(0, 8) + uuid.slice(9, 13), 16);
+    return {
+        unixMs,
+        date: new Date(unixMs),
+        counter: parseInt(uuid.slice(15, 18), 16)
+    };
+}
+
+/**
+ * Encode 16 bytes (48-bit time + 80-bit random) as a ULID string
  * 
- * @param {number} value - 48-bit integer to encode
- * @returns {string} Base64URL encoded string (8 characters)
+ * @param {Uint8Array} bytes - 16 bytes, big-endian
+ * @returns {string} 26-character Crockford Base32 ULID
  */
-function encodeBase64URL48(value) {
-    if (value < 0 || value > MAX_48_BIT) {
-        throw new TimestampRangeError(`Value ${value} exceeds 48-bit range`);
+function encodeULIDBytes(bytes) {
+    const codec = CODECS.get('base32');
+    let time = 0;
+    for (let i = 0; i < 6; i++) {
+        time = time * 256 + bytes[i];
     }
     
-    // Pre-allocate result array for performance
-    const result = new Array(8);
+    // The random part is encoded as two 40-bit halves (8 characters each)
+    let result = encodeWithCodec(time, codec);
+    for (let half = 6; half < 16; half += 5) {
+        let value = 0;
+        for (let i = half; i < half + 5; i++) {
+            value = value * 256 + bytes[i];
+        }
+        result += encodeWithCodec(value, codec, 8);
+    }
+    return result;
+}
+
+/**
+ * Decode a ULID string into its 16 bytes
+ * 
+ * @param {string} ulid - 26-character ULID (case-insensitive)
+ * @returns {Uint8Array} 16 bytes, big-endian
+ * @throws {InvalidEncodingError} If the ULID is invalid
+ */
+function decodeULIDBytes(ulid) {
+    if (typeof ulid !== 'string' || ulid.length !== ULID_LENGTH) {
+        throw new InvalidEncodingError(`Invalid ULID: must be ${ULID_LENGTH} characters`);
+    }
     
-    // Extract 6-bit chunks using mathematical operations (8 chunks for 48 bits)
-    // Process from right to left for correct bit order
-    for (let i = 7; i >= 0; i--) {
-        result[i] = ENCODE_TABLE[value % 64]; // Get remainder when divided by 64
-        value = Math.floor(value / 64); // Integer division by 64
+    const bytes = new Uint8Array(16);
+    let time = decodeWithCodec(ulid.slice(0, ULID_TIME_LENGTH), CODECS.get('base32'));
+    for (let i = 5; i >= 0; i--) {
+        bytes[i] = time % 256;
+        time = Math.floor(time / 256);
     }
     
-    return result.join('');
+    const { decodeTable } = CODECS.get('base32');
+    for (let half = 0; half < 2; half++) {
+        let value = 0;
+        for (let i = ULID_TIME_LENGTH + half * 8; i < ULID_TIME_LENGTH + half * 8 + 8; i++) {
+            const charCode = ulid.charCodeAt(i);
+            const digit = charCode < 128 ? decodeTable[charCode] : 255;
+            if (digit === 255) {
+                throw new InvalidEncodingError(`Invalid ULID character: ${ulid[i]}`);
+            }
+            value = value * 32 + digit;
+        }
+        for (let i = 10 + half * 5; i >= 6 + half * 5; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+    }
+    return bytes;
 }
 
 /**
- * Main API: Generate 48-bit timestamp with Base64URL encoding
+ * Parse a UUID string into its 16 bytes
  * 
- * Returns a UUIDv7-compatible timestamp encoded as Base64URL string.
- * Guarantees monotonic ordering and handles edge cases gracefully.
+ * @param {string} uuid - UUIDv7 in 8-4-4-4-12 hex form
+ * @returns {Uint8Array} 16 bytes
+ * @throws {InvalidEncodingError} If the string is not a UUIDv7
+ */
+function parseUUIDBytes(uuid) {
+    if (typeof uuid !== 'string' || !UUIDV7_PATTERN.test(uuid)) {
+        throw new InvalidEncodingError(`Invalid UUIDv7: ${uuid}`);
+    }
+    
+    const hex = uuid.replace(/-/g, '');
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Generate ULID string
+ * 
+ * The 48-bit Unix millisecond time comes from the generator's time source;
+ * the 80-bit random part is cryptographically random and, within the same
+ * millisecond, incremented so ULIDs stay strictly increasing (ULID spec
+ * monotonicity).
  * 
  * @param {object} options - Optional configuration
- * @returns {string} Base64URL encoded 48-bit timestamp
+ * @returns {string} 26-character Crockford Base32 ULID
+ * @throws {SequenceOverflowError} If the random part overflows within a millisecond
  */
-function generateTimestamp48(options = {}) {
-    // Validate options parameter
-    if (options !== null && typeof options !== 'object') {
-        throw new InvalidConfigError('Options must be an object or null');
+function generateULID(options = {}) {
+    const generator = resolveGenerator(options);
+    
+    let unixMs = generator._advanceULID();
+    const bytes = new Uint8Array(16);
+    for (let i = 5; i >= 0; i--) {
+        bytes[i] = unixMs % 256;
+        unixMs = Math.floor(unixMs / 256);
     }
+    bytes.set(generator.ulidRandom, 6);
     
-    const generator = options.generator || defaultGenerator;
+    return encodeULIDBytes(bytes);
+}
+
+/**
+ * Parse a ULID string
+ * 
+ * @param {string} ulid - 26-character ULID (case-insensitive; I/L read as 1, O as 0)
+ * @returns {object} Parsed fields: unixMs, date, random (10 bytes)
+ * @throws {InvalidEncodingError} If the ULID is invalid
+ */
+function parseULID(ulid) {
+    const bytes = decodeULIDBytes(ulid);
+    const unixMs = decodeBase32(ulid.slice(0, ULID_TIME_LENGTH));
+    return {
+        unixMs,
+        date: new Date(unixMs),
+        random: bytes.slice(6)
+    };
+}
+
+/**
+ * Validate ULID format
+ * 
+ * @param {string} ulid - String to check
+ * @returns {boolean} True if valid
+ */
+function isValidULID(ulid) {
+    try {
+        decodeULIDBytes(ulid);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Convert a UUIDv7 to a ULID
+ * 
+ * Lossless: the ULID carries the same 128 bits, so its time is the UUID's
+ * Unix milliseconds and ulidToUUIDv7() converts it back.
+ * 
+ * @param {string} uuid - UUIDv7 string
+ * @returns {string} ULID string
+ */
+function uuidv7ToULID(uuid) {
+    return encodeULIDBytes(parseUUIDBytes(uuid));
+}
+
+/**
+ * Convert a ULID to a UUIDv7
+ * 
+ * Keeps the timestamp and random bits, except the 6 bits overwritten by the
+ * UUID version and variant fields.
+ * 
+ * @param {string} ulid - ULID string
+ * @returns {string} UUIDv7 string
+ */
+function ulidToUUIDv7(ulid) {
+    const bytes = decodeULIDBytes(ulid);
+    bytes[6] = UUID_VERSION_7 | (bytes[6] & 0x0F);
+    bytes[8] = UUID_VARIANT | (bytes[8] & 0x3F);
+    return formatUUIDBytes(bytes);
+}
+
+/**
+ * Encode the tick containing a Unix time with a generator's layout
+ * 
+ * Node ID comes from the generator config and the sequence is zero, so the
+ * result is the first value that generator could issue in that tick.
+ * 
+ * @param {number} unixMs - Unix milliseconds
+ * @param {TimestampGenerator} generator - Generator whose layout, epoch and format to use
+ * @returns {string|number|Uint8Array} Encoded timestamp in the generator's format
+ */
+function unixMsToTimestamp(unixMs, generator) {
+    const ticks = generator.unit.toTicks(unixMs - generator.epoch);
+    if (ticks < 0 || ticks > generator.maxTimestamp) {
+        throw new TimestampRangeError(`Time ${new Date(unixMs).toISOString()} is outside the generator's range`);
+    }
+    return formatRawValue(ticks * generator.timestampMultiplier + generator.nodeOffset, generator.config.format, generator);
+}
+
+/**
+ * Convert a ULID to a gt48 timestamp
+ * 
+ * Only the time survives: the result is the first value of the tick
+ * containing the ULID's millisecond (see unixMsToTimestamp).
+ * 
+ * @param {string} ulid - ULID string
+ * @param {object} options - Optional configuration (generator)
+ * @returns {string|number|Uint8Array} Timestamp in the generator's format
+ */
+function ulidToTimestamp(ulid, options = {}) {
+    return unixMsToTimestamp(parseULID(ulid).unixMs, resolveGenerator(options, 48));
+}
+
+/**
+ * Convert a UUIDv7 to a gt48 timestamp
+ * 
+ * Only the time survives, as for ulidToTimestamp().
+ * 
+ * @param {string} uuid - UUIDv7 string
+ * @param {object} options - Optional configuration (generator)
+ * @returns {string|number|Uint8Array} Timestamp in the generator's format
+ */
+function uuidv7ToTimestamp(uuid, options = {}) {
+    return unixMsToTimestamp(parseUUIDv7(uuid).unixMs, resolveGenerator(options, 48));
+}
+
+/**
+ * Build the 16 bytes of a ULID/UUIDv7 for a gt48 timestamp
+ * 
+ * @param {string|number|Uint8Array} timestamp - Encoded gt48 timestamp or raw value
+ * @param {object} options - Optional configuration (generator)
+ * @returns {Uint8Array} 16 bytes: Unix ms followed by fresh randomness
+ */
+function timestampToTimeBytes(timestamp, options) {
+    const generator = resolveGenerator(options, 48);
+    let unixMs = Math.floor(parseTimestamp48(timestamp, { generator }).unixMs);
+    if (unixMs < 0 || unixMs > MAX_48_BIT) {
+        throw new TimestampRangeError(`Time ${unixMs} exceeds the 48-bit millisecond range`);
+    }
     
-    // Validate generator
-    if (!(generator instanceof TimestampGenerator)) {
-        throw new InvalidConfigError('Generator must be an instance of TimestampGenerator');
+    const bytes = randomFillSync(new Uint8Array(16));
+    for (let i = 5; i >= 0; i--) {
+        bytes[i] = unixMs % 256;
+        unixMs = Math.floor(unixMs / 256);
+    }
+    return bytes;
+}
+
+/**
+ * Convert a gt48 timestamp to a ULID
+ * 
+ * The ULID time is the timestamp's Unix millisecond; node ID and sequence
+ * have no ULID equivalent, so the random part is freshly generated.
+ * 
+ * @param {string|number|Uint8Array} timestamp - Encoded gt48 timestamp or raw value
+ * @param {object} options - Optional configuration (generator)
+ * @returns {string} ULID string
+ */
+function timestampToULID(timestamp, options = {}) {
+    return encodeULIDBytes(timestampToTimeBytes(timestamp, options));
+}
+
+/**
+ * Convert a gt48 timestamp to a UUIDv7
+ * 
+ * Same mapping as timestampToULID(), with version and variant bits set.
+ * 
+ * @param {string|number|Uint8Array} timestamp - Encoded gt48 timestamp or raw value
+ * @param {object} options - Optional configuration (generator)
+ * @returns {string} UUIDv7 string
+ */
+function timestampToUUIDv7(timestamp, options = {}) {
+    const bytes = timestampToTimeBytes(timestamp, options);
+    bytes[6] = UUID_VERSION_7 | (bytes[6] & 0x0F);
+    bytes[8] = UUID_VARIANT | (bytes[8] & 0x3F);
+    return formatUUIDBytes(bytes);
+}
+
+/**
+ * Compute the smallest or largest ID of a layout at an instant
+ * 
+ * The bounds span every node ID and sequence of the ticks that fall within
+ * the instant's millisecond, so `lower <= id <= upper` (compared as numbers)
+ * matches exactly the IDs any node with this layout and epoch issued then.
+ * 
+ * @param {Date|number} date - Instant as a Date or Unix milliseconds
+ * @param {boolean} upper - True for the largest ID, false for the smallest
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {string|number|bigint|Uint8Array} Boundary ID in the requested format
+ * @throws {TimestampRangeError} If the instant is outside the layout's range
+ */
+function timestampBound(date, upper, options) {
+    const generator = resolveGenerator(options);
+    const unixMs = date instanceof Date ? date.getTime() : date;
+    if (typeof unixMs !== 'number' || !Number.isFinite(unixMs)) {
+        throw new InvalidConfigError(`Invalid date: ${date}. Must be a valid Date or Unix milliseconds`);
     }
+    const format = (options && options.format) || generator.config.format;
     
-    const rawValue = generator.generateRaw();
-    const format = options.format || 'base64url';
+    const offsetMs = unixMs - generator.epoch;
+    let ticks = generator.unit.toTicks(offsetMs);
+    if (ticks < 0 || ticks > generator.maxTimestamp) {
+        throw new TimestampRangeError(`Time ${new Date(unixMs).toISOString()} is outside the generator's range`);
+    }
+    if (upper) {
+        // Sub-millisecond ticks: the last one in this millisecond; coarser ticks already contain it
+        ticks = Math.min(Math.max(ticks, generator.unit.toTicks(Math.floor(offsetMs) + 1) - 1), generator.maxTimestamp);
+    }
     
-    // Validate format
-    if (!['base64url', 'hex', 'number'].includes(format)) {
-        throw new InvalidConfigError(`Invalid format: ${format}. Must be 'base64url', 'hex', or 'number'`);
+    if (generator.wide) {
+        validateWideFormat(format);
+        const lower = BigInt(ticks) << generator.timestampShift;
+        const raw = upper ? lower | ((1n << generator.timestampShift) - 1n) : lower;
+        return formatWideValue(raw, generator.config.bits, format);
+    }
+    const lower = ticks * generator.timestampMultiplier;
+    return formatRawValue(upper ? lower + generator.timestampMultiplier - 1 : lower, format, generator);
+}
+
+/**
+ * Get the smallest ID a generator can issue at an instant
+ * 
+ * Node ID and sequence are zero. Use with upperBoundTimestamp() to turn a
+ * time window into a primary-key range.
+ * 
+ * @param {Date|number} date - Instant as a Date or Unix milliseconds
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {string|number|bigint|Uint8Array} Smallest ID in the generator's (or requested) format
+ */
+function lowerBoundTimestamp(date, options = {}) {
+    return timestampBound(date, false, options);
+}
+
+/**
+ * Get the largest ID a generator can issue at an instant
+ * 
+ * Node ID and sequence bits are all set, and sub-millisecond precisions use
+ * the last tick of the millisecond.
+ * 
+ * @param {Date|number} date - Instant as a Date or Unix milliseconds
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {string|number|bigint|Uint8Array} Largest ID in the generator's (or requested) format
+ */
+function upperBoundTimestamp(date, options = {}) {
+    return timestampBound(date, true, options);
+}
+
+/**
+ * Resolve and validate the format of string IDs being compared
+ * 
+ * @param {object} options - Options that may carry a format
+ * @param {TimestampGenerator} generator - Generator whose configured format is the default
+ * @returns {string} Format
+ */
+function resolveComparisonFormat(options, generator) {
+    const format = (options && options.format) || generator.config.format;
+    if (generator.wide) {
+        validateWideFormat(format);
+    } else {
+        validateOutputFormat(format);
+    }
+    return format;
+}
+
+/**
+ * Decode a fixed-width hex ID
+ * 
+ * @param {string} encoded - Hex string (12 digits for 48 bits, 16 or 32 for 64/128 bits)
+ * @param {number} bits - Layout width
+ * @returns {number|bigint} Raw value (BigInt for 64/128 bits)
+ * @throws {InvalidEncodingError} If the string is not hex of the right width
+ */
+function decodeHexValue(encoded, bits) {
+    const digits = bits / 4;
+    if (typeof encoded !== 'string' || encoded.length !== digits || !/^[0-9a-f]+$/i.test(encoded)) {
+        throw new InvalidEncodingError(`Invalid hex timestamp format: must be ${digits} hex digits`);
+    }
+    return bits === 48 ? parseInt(encoded, 16) : BigInt(`0x${encoded}`);
+}
+
+/**
+ * Decode an ID in any supported format to its raw value
+ * 
+ * Numbers, BigInts and byte arrays are taken as they are; strings are read
+ * in `format` (Base64URL for the non-string formats).
+ * 
+ * @param {string|number|bigint|Uint8Array} value - ID
+ * @param {TimestampGenerator} generator - Generator whose layout width applies
+ * @param {string} format - Format of string IDs
+ * @returns {number|bigint} Raw value (BigInt for 64/128-bit layouts)
+ * @throws {InvalidEncodingError} If the ID does not decode
+ * @throws {TimestampRangeError} If a raw value exceeds the layout width
+ */
+function decodeComparable(value, generator, format) {
+    if (generator.wide) {
+        const { bits } = generator.config;
+        if (typeof value === 'bigint' || Number.isInteger(value)) {
+            const raw = BigInt(value);
+            if (raw < 0n || raw > WIDE_LAYOUTS[bits].max) {
+                throw new TimestampRangeError(`Value ${value} exceeds ${bits}-bit range`);
+            }
+            return raw;
+        }
+        if (value instanceof Uint8Array) {
+            return decodeBinaryWide(value, bits);
+        }
+        return format === 'hex' ? decodeHexValue(value, bits) : decodeBase64URLWide(value, bits);
     }
     
-    switch (format) {
-        case 'base64url':
-            return encodeBase64URL48(rawValue);
-        case 'hex':
-            return rawValue.toString(16).padStart(12, '0');
-        case 'number':
-            return rawValue;
-        default:
-            return encodeBase64URL48(rawValue);
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        if (value < 0 || value > MAX_48_BIT || (typeof value === 'number' && !Number.isInteger(value))) {
+            throw new TimestampRangeError(`Value ${value} exceeds 48-bit range`);
+        }
+        return Number(value);
     }
+    return decodeTimestamp48(value, { format });
 }
 
 /**
- * Generate raw 48-bit timestamp as integer
+ * Compare two plain 8-character Base64URL IDs without decoding them
  * 
- * Useful for applications that need the raw timestamp value
- * for custom encoding or mathematical operations.
+ * The Base64URL alphabet is not in ASCII order, so the strings are compared
+ * by the table index of each character, most significant first. Every
+ * character is still validated.
  * 
- * @param {object} options - Optional configuration
- * @returns {number} 48-bit timestamp as integer
+ * @param {string} a - First ID
+ * @param {string} b - Second ID
+ * @returns {number} Negative, zero or positive
+ * @throws {InvalidEncodingError} If either string has an invalid character
  */
-function generateRawTimestamp(options = {}) {
-    const generator = options.generator || defaultGenerator;
-    const rawValue = generator.generateRaw();
-    // Extract only the timestamp part and convert back to Unix timestamp
-    const timestampOnly = Math.floor(rawValue / Math.pow(2, generator.config.sequenceBits));
-    return timestampOnly + EPOCH_OFFSET;
+function compareBase64URL48(a, b) {
+    let order = 0;
+    for (let i = 0; i < 8; i++) {
+        const charA = a.charCodeAt(i);
+        const charB = b.charCodeAt(i);
+        const digitA = charA < 128 ? DECODE_TABLE[charA] : 255;
+        const digitB = charB < 128 ? DECODE_TABLE[charB] : 255;
+        if (digitA === 255 || digitB === 255) {
+            throw new InvalidEncodingError(`Invalid Base64URL character: ${digitA === 255 ? a[i] : b[i]}`);
+        }
+        if (order === 0) {
+            order = digitA - digitB;
+        }
+    }
+    return order;
+}
+
+/**
+ * Compare two IDs of a generator's layout
+ * 
+ * @param {string|number|bigint|Uint8Array} a - First ID
+ * @param {string|number|bigint|Uint8Array} b - Second ID
+ * @param {TimestampGenerator} generator - Generator whose layout width applies
+ * @param {string} format - Format of string IDs
+ * @returns {number} -1, 0 or 1
+ */
+function compareValues(a, b, generator, format) {
+    let order;
+    if (format === 'base64url' && typeof a === 'string' && typeof b === 'string' && a.length === 8 && b.length === 8 && !generator.wide) {
+        order = compareBase64URL48(a, b);
+    } else {
+        const rawA = decodeComparable(a, generator, format);
+        const rawB = decodeComparable(b, generator, format);
+        order = rawA < rawB ? -1 : rawA > rawB ? 1 : 0;
+    }
+    return order < 0 ? -1 : order > 0 ? 1 : 0;
+}
+
+/**
+ * Get the Unix milliseconds of an ID of a generator's layout
+ * 
+ * @param {string|number|bigint|Uint8Array} value - ID
+ * @param {TimestampGenerator} generator - Generator whose layout and epoch apply
+ * @param {string} format - Format of string IDs
+ * @returns {number} Unix milliseconds
+ */
+function comparableUnixMs(value, generator, format) {
+    // Self-describing Base64URL values carry their own layout
+    if (!generator.wide && typeof value === 'string' && value.length > 8 && format !== 'hex' && !CODECS.has(format)) {
+        return parseTimestamp48(value, { generator }).unixMs;
+    }
+    const { timestamp } = generator.decomposeRaw(decodeComparable(value, generator, format));
+    return generator.epoch + generator.unit.toMs(timestamp);
+}
+
+/**
+ * Compare two encoded IDs in generation order
+ * 
+ * Works with every output format of the generator's layout: strings are read
+ * in `options.format` (default: the generator's format), while numbers,
+ * BigInts and byte arrays are compared by value. Plain Base64URL strings
+ * take a fast path that compares decoded characters without allocating.
+ * 
+ * @param {string|number|bigint|Uint8Array} a - First ID
+ * @param {string|number|bigint|Uint8Array} b - Second ID
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {number} -1 if a sorts first, 1 if b does, 0 if they are equal
+ * @throws {InvalidEncodingError} If either ID does not decode
+ */
+function compareTimestamps(a, b, options = {}) {
+    const generator = resolveGenerator(options);
+    return compareValues(a, b, generator, resolveComparisonFormat(options, generator));
+}
+
+/**
+ * Sort IDs in generation order
+ * 
+ * @param {Array<string|number|bigint|Uint8Array>|Float64Array} ids - IDs (left unchanged)
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {Array<string|number|bigint|Uint8Array>|Float64Array} Sorted copy of the same type
+ */
+function sortTimestamps(ids, options = {}) {
+    if (!Array.isArray(ids) && !(ids instanceof Float64Array)) {
+        throw new InvalidConfigError('IDs must be an array or Float64Array');
+    }
+    const generator = resolveGenerator(options);
+    const format = resolveComparisonFormat(options, generator);
+    return ids.slice().sort((a, b) => compareValues(a, b, generator, format));
+}
+
+/**
+ * Check whether an ID was generated before another
+ * 
+ * @param {string|number|bigint|Uint8Array} a - ID to check
+ * @param {string|number|bigint|Uint8Array} b - ID to compare against
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {boolean} True if a sorts before b
+ */
+function isTimestampBefore(a, b, options = {}) {
+    return compareTimestamps(a, b, options) < 0;
 }
 
 /**
- * Generate raw 48-bit value for encoding (internal use)
+ * Check whether an ID was generated after another
  * 
- * @param {object} options - Optional configuration
- * @returns {number} Raw 48-bit value without epoch offset
+ * @param {string|number|bigint|Uint8Array} a - ID to check
+ * @param {string|number|bigint|Uint8Array} b - ID to compare against
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {boolean} True if a sorts after b
  */
-function generateRawValue(options = {}) {
-    const generator = options.generator || defaultGenerator;
-    const rawValue = generator.generateRaw();
-    // Extract only the timestamp part (remove sequence bits)
-    const timestampOnly = Math.floor(rawValue / Math.pow(2, generator.config.sequenceBits));
-    return timestampOnly;
+function isTimestampAfter(a, b, options = {}) {
+    return compareTimestamps(a, b, options) > 0;
 }
 
 /**
- * Decode Base64URL string back to 48-bit timestamp
+ * Get the time between two IDs
  * 
- * Optimized version using lookup table for better performance.
+ * Uses the generator's layout, precision and epoch (self-describing values
+ * use their own layout), so IDs from the same tick differ by 0.
  * 
- * @param {string} encoded - Base64URL encoded timestamp
- * @returns {number} 48-bit timestamp as integer
- * @throws {InvalidEncodingError} If encoding is invalid
+ * @param {string|number|bigint|Uint8Array} a - ID
+ * @param {string|number|bigint|Uint8Array} b - ID to subtract
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {number} Milliseconds from b to a (negative if a is earlier)
+ */
+function diffTimestamps(a, b, options = {}) {
+    const generator = resolveGenerator(options);
+    const format = resolveComparisonFormat(options, generator);
+    return comparableUnixMs(a, generator, format) - comparableUnixMs(b, generator, format);
+}
+
+/**
+ * Find the first or last ID in generation order
+ * 
+ * @param {Array<string|number|bigint|Uint8Array>|Float64Array} ids - IDs
+ * @param {number} direction - 1 for the latest ID, -1 for the earliest
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {string|number|bigint|Uint8Array|undefined} The ID as given, or undefined if there are none
  */
-function decodeTimestamp48(encoded) {
-    if (typeof encoded !== 'string' || encoded.length !== 8) {
-        throw new InvalidEncodingError('Invalid Base64URL timestamp format: must be 8 characters');
+function extremeTimestamp(ids, direction, options) {
+    if (!Array.isArray(ids) && !(ids instanceof Float64Array)) {
+        throw new InvalidConfigError('IDs must be an array or Float64Array');
     }
+    const generator = resolveGenerator(options);
+    const format = resolveComparisonFormat(options, generator);
     
-    let result = 0;
-    for (let i = 0; i < 8; i++) {
-        const charCode = encoded.charCodeAt(i);
-        if (charCode >= 128) {
-            throw new InvalidEncodingError(`Invalid Base64URL character: ${encoded[i]}`);
-        }
-        
-        const value = DECODE_TABLE[charCode];
-        if (value === 255) {
-            throw new InvalidEncodingError(`Invalid Base64URL character: ${encoded[i]}`);
+    let result = ids[0];
+    for (let i = 1; i < ids.length; i++) {
+        if (compareValues(ids[i], result, generator, format) === direction) {
+            result = ids[i];
         }
-        
-        // Use multiplication instead of bitwise operations for large numbers
-        result = result * 64 + value;
     }
-    
     return result;
 }
 
 /**
- * Get timestamp as Date object
+ * Get the most recently generated of several IDs
  * 
- * @param {string|number} timestamp - Encoded timestamp or raw value
- * @returns {Date} Date object representing the timestamp
- * @throws {InvalidEncodingError} If encoded timestamp is invalid
+ * @param {Array<string|number|bigint|Uint8Array>|Float64Array} ids - IDs
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {string|number|bigint|Uint8Array|undefined} Latest ID, or undefined for an empty list
  */
-function timestampToDate(timestamp) {
-    let actualTimestamp;
-    
-    if (typeof timestamp === 'string') {
-        // decodeTimestamp48 returns raw value, extract timestamp part and convert to Unix timestamp
-        const rawValue = decodeTimestamp48(timestamp);
-        const timestampOnly = Math.floor(rawValue / Math.pow(2, DEFAULT_CONFIG.sequenceBits));
-        actualTimestamp = timestampOnly + EPOCH_OFFSET;
-    } else {
-        // For raw timestamps from generateRawTimestamp, they are already Unix timestamps
-        actualTimestamp = timestamp;
-    }
-    
-    return new Date(actualTimestamp);
+function latestTimestamp(ids, options = {}) {
+    return extremeTimestamp(ids, 1, options);
 }
 
 /**
- * Validate timestamp format and value
+ * Get the earliest generated of several IDs
  * 
- * @param {string} encoded - Base64URL encoded timestamp
- * @returns {boolean} True if valid
+ * @param {Array<string|number|bigint|Uint8Array>|Float64Array} ids - IDs
+ * @param {object} options - Optional configuration (generator, format)
+ * @returns {string|number|bigint|Uint8Array|undefined} Earliest ID, or undefined for an empty list
  */
-function isValidTimestamp(encoded) {
-    try {
-        const decoded = decodeTimestamp48(encoded);
-        // Check if the decoded raw value is within 48-bit range
-        return decoded >= 0 && decoded <= MAX_48_BIT;
-    } catch {
-        return false;
-    }
+function earliestTimestamp(ids, options = {}) {
+    return extremeTimestamp(ids, -1, options);
 }
 
 /**
- * Get current timestamp statistics
+ * Create a new timestamp generator with custom configuration
  * 
- * @param {object} options - Optional configuration
- * @returns {object} Statistics about timestamp generation
+ * @param {object} config - Generator configuration
+ * @returns {TimestampGenerator} New generator instance
  */
-function getTimestampStats(options = {}) {
-    // Validate options parameter
-    if (options !== null && typeof options !== 'object') {
-        throw new InvalidConfigError('Options must be an object or null');
+function createGenerator(config = {}) {
+    // Validate config parameter
+    if (config !== null && typeof config !== 'object') {
+        throw new InvalidConfigError('Config must be an object or null');
     }
     
-    const generator = options.generator || defaultGenerator;
+    return new TimestampGenerator(config);
+}
+
+/**
+ * Hand out distinct node IDs to cluster workers (call once in the primary)
+ * 
+ * Answers the requests sent by createClusterGenerator() with the lowest
+ * node ID not held by a live worker. IDs are released when a worker exits,
+ * so restarted workers reuse them.
+ * 
+ * @param {object} options - Optional configuration
+ * @param {object} options.cluster - Cluster module or compatible emitter (defaults to require('cluster'))
+ * @returns {{assignments: function(): Map<number, number>, close: function(): void}} Current worker ID to node ID map, and a function that stops answering
+ */
+function setupClusterNodeIds(options = {}) {
+    const cluster = options.cluster || require('cluster');
+    // worker.id -> node ID
+    const assigned = new Map();
     
-    // Validate generator
-    if (!(generator instanceof TimestampGenerator)) {
-        throw new InvalidConfigError('Generator must be an instance of TimestampGenerator');
-    }
+    const onMessage = (worker, message) => {
+        if (!message || message.type !== CLUSTER_NODE_ID_REQUEST) {
+            return;
+        }
+        
+        let nodeId = assigned.get(worker.id);
+        if (nodeId === undefined) {
+            const used = new Set(assigned.values());
+            nodeId = 0;
+            while (used.has(nodeId)) {
+                nodeId++;
+            }
+            if (nodeId >= Math.pow(2, message.nodeBits)) {
+                worker.send({ type: CLUSTER_NODE_ID_REPLY, error: `All ${Math.pow(2, message.nodeBits)} node IDs for nodeBits ${message.nodeBits} are in use` });
+                return;
+            }
+            assigned.set(worker.id, nodeId);
+        }
+        worker.send({ type: CLUSTER_NODE_ID_REPLY, nodeId });
+    };
+    const onExit = (worker) => {
+        assigned.delete(worker.id);
+    };
     
+    cluster.on('message', onMessage);
+    cluster.on('exit', onExit);
     return {
-        ...generator.getStats(),
-        maxValue: MAX_48_BIT,
-        epochOffset: EPOCH_OFFSET
+        assignments: () => new Map(assigned),
+        close: () => {
+            cluster.off('message', onMessage);
+            cluster.off('exit', onExit);
+        }
     };
 }
 
 /**
- * Create a new timestamp generator with custom configuration
+ * Create a generator with a node ID assigned by the cluster primary
  * 
- * @param {object} config - Generator configuration
- * @returns {TimestampGenerator} New generator instance
+ * Asks the primary (which must have called setupClusterNodeIds()) for a node
+ * ID that no other live worker holds, so workers never issue the same value
+ * without sharing memory. `nodeBits` must be set to make room for the ID.
+ * 
+ * @param {object} config - Generator configuration (nodeId is assigned)
+ * @param {object} options - Optional configuration
+ * @param {number} options.timeout - Milliseconds to wait for the primary (default 5000)
+ * @param {object} options.process - IPC channel to the primary (defaults to the worker's `process`)
+ * @returns {Promise<TimestampGenerator>} Generator using the assigned node ID
+ * @throws {InvalidConfigError} Outside a worker, without nodeBits, on timeout or when all node IDs are taken
  */
-function createGenerator(config = {}) {
-    // Validate config parameter
-    if (config !== null && typeof config !== 'object') {
-        throw new InvalidConfigError('Config must be an object or null');
+async function createClusterGenerator(config = {}, options = {}) {
+    const { timeout = 5000, process: channel = process } = options;
+    
+    if (!Number.isInteger(config.nodeBits) || config.nodeBits <= 0) {
+        throw new InvalidConfigError('createClusterGenerator() requires nodeBits > 0 to hold the worker node ID');
+    }
+    if (typeof channel.send !== 'function') {
+        throw new InvalidConfigError('createClusterGenerator() must be called in a cluster worker');
     }
     
-    return new TimestampGenerator(config);
+    const nodeId = await new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+            if (!message || message.type !== CLUSTER_NODE_ID_REPLY) {
+                return;
+            }
+            clearTimeout(timer);
+            channel.off('message', onMessage);
+            if (message.error) {
+                reject(new InvalidConfigError(message.error));
+            } else {
+                resolve(message.nodeId);
+            }
+        };
+        const timer = setTimeout(() => {
+            channel.off('message', onMessage);
+            reject(new InvalidConfigError(`No node ID received from the cluster primary within ${timeout}ms; call setupClusterNodeIds() in the primary`));
+        }, timeout);
+        
+        channel.on('message', onMessage);
+        channel.send({ type: CLUSTER_NODE_ID_REQUEST, nodeBits: config.nodeBits });
+    });
+    
+    return new TimestampGenerator({ ...config, nodeId });
 }
 
 /**
@@ -479,8 +3494,8 @@ class GT48Builder {
     }
     
     /**
-     * Set output format
-     * @param {string} format - 'base64url', 'hex', or 'binary'
+     * Set default output format
+     * @param {string} format - 'base64url', 'hex', 'binary' or 'number' ('bigint' instead of the last two for 64/128-bit)
      * @returns {GT48Builder} Builder instance for chaining
      */
     format(format) {
@@ -500,7 +3515,7 @@ class GT48Builder {
     
     /**
      * Set sequence bits count
-     * @param {number} bits - Number of bits for sequence counter (1-16)
+     * @param {number} bits - Number of bits for sequence counter (1-16, up to 48 for 128-bit IDs)
      * @returns {GT48Builder} Builder instance for chaining
      */
     sequenceBits(bits) {
@@ -508,9 +3523,73 @@ class GT48Builder {
         return this;
     }
     
+    /**
+     * Reserve node/worker ID bits for distributed generation
+     * @param {number} bits - Number of bits for the node ID (0-16, up to 48 for 128-bit IDs)
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    nodeBits(bits) {
+        this.config.nodeBits = bits;
+        return this;
+    }
+    
+    /**
+     * Set node/worker ID
+     * @param {number} id - Node ID (0 to 2^nodeBits - 1)
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    nodeId(id) {
+        this.config.nodeId = id;
+        return this;
+    }
+    
+    /**
+     * Prefix Base64URL output with a layout tag
+     * @param {boolean} enabled - Emit self-describing timestamps
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    selfDescribing(enabled = true) {
+        this.config.selfDescribing = enabled;
+        return this;
+    }
+    
+    /**
+     * Set sequence overflow strategy
+     * @param {string} strategy - 'spin', 'throw', or 'borrow-future'
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    overflowStrategy(strategy) {
+        this.config.overflowStrategy = strategy;
+        return this;
+    }
+    
+    /**
+     * Set clock regression policy
+     * @param {string} policy - 'wait', 'throw', or 'continue-logical'
+     * @param {number} maxRegression - Regression in ms absorbed before the policy applies
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    clockDriftPolicy(policy, maxRegression) {
+        this.config.clockDriftPolicy = policy;
+        if (maxRegression !== undefined) {
+            this.config.maxClockRegression = maxRegression;
+        }
+        return this;
+    }
+    
+    /**
+     * Set time source
+     * @param {Function|{now: Function}} clock - Function or object returning Unix milliseconds
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    clock(clock) {
+        this.config.clock = clock;
+        return this;
+    }
+    
     /**
      * Enable high-resolution time
-     * @param {boolean} enabled - Use process.hrtime.bigint()
+     * @param {boolean} enabled - Use HighResClock (hrtime anchored to wall time)
      * @returns {GT48Builder} Builder instance for chaining
      */
     highResTime(enabled = true) {
@@ -518,6 +3597,50 @@ class GT48Builder {
         return this;
     }
     
+    /**
+     * Set how early to warn about range exhaustion
+     * @param {number} horizonMs - Warn when the range expires within this many ms (0 disables)
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    rangeWarningHorizon(horizonMs) {
+        this.config.rangeWarningHorizon = horizonMs;
+        return this;
+    }
+    
+    /**
+     * Set total ID width
+     * @param {number} bits - 48 (Number), 64 or 128 (BigInt)
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    bits(bits) {
+        this.config.bits = bits;
+        return this;
+    }
+    
+    /**
+     * Set custom epoch
+     * @param {number|Date} epoch - Epoch as Unix milliseconds or Date
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    epoch(epoch) {
+        this.config.epoch = epoch;
+        return this;
+    }
+    
+    /**
+     * Persist generator state across restarts
+     * @param {object} store - State store with load() and save(state), e.g. FileStateStore
+     * @param {number} reserveAhead - Ms of future ticks reserved per save (optional)
+     * @returns {GT48Builder} Builder instance for chaining
+     */
+    stateStore(store, reserveAhead) {
+        this.config.stateStore = store;
+        if (reserveAhead !== undefined) {
+            this.config.reserveAhead = reserveAhead;
+        }
+        return this;
+    }
+    
     /**
      * Build GT48 instance with configured options
      * @returns {GT48} Configured GT48 instance
@@ -537,46 +3660,284 @@ class GT48 {
     
     /**
      * Generate timestamp in specified format
-     * @param {string} format - Output format ('base64url', 'hex', 'number')
-     * @returns {string|number} Generated timestamp
+     * @param {string} format - Output format ('base64url', 'hex', 'number', 'binary'; 'bigint' for 64/128-bit layouts), default from config
+     * @returns {string|number|bigint} Generated timestamp
      */
-    generate(format = 'base64url') {
+    generate(format) {
+        if (this.generator.wide) {
+            return generateWideTimestamp(this.generator.config.bits, { generator: this.generator, format });
+        }
         return generateTimestamp48({ generator: this.generator, format });
     }
     
+    /**
+     * Generate timestamp without busy-waiting on sequence overflow
+     * @param {string} format - Output format ('base64url', 'hex', 'number', 'binary'; 'bigint' for 64/128-bit layouts), default from config
+     * @returns {Promise<string|number|bigint>} Generated timestamp
+     */
+    async generateAsync(format) {
+        if (this.generator.wide) {
+            const wideFormat = format || this.generator.config.format;
+            validateWideFormat(wideFormat);
+            return formatWideValue(await this.generator.generateBigIntAsync(), this.generator.config.bits, wideFormat);
+        }
+        return generateTimestamp48Async({ generator: this.generator, format });
+    }
+    
+    /**
+     * Generate many timestamps in one call
+     * @param {number} count - Number of timestamps to generate
+     * @param {string} format - Output format ('base64url', 'hex', 'number', 'binary'; 'bigint' for 64/128-bit layouts), default from config
+     * @returns {Array<string|bigint>|Float64Array} Encoded timestamps, or raw values for 'number'
+     */
+    generateBatch(count, format) {
+        if (this.generator.wide) {
+            if (!Number.isInteger(count) || count < 0) {
+                throw new InvalidConfigError(`Invalid count: ${count}. Must be a non-negative integer`);
+            }
+            const wideFormat = format || this.generator.config.format;
+            validateWideFormat(wideFormat);
+            
+            const results = new Array(count);
+            for (let i = 0; i < count; i++) {
+                results[i] = formatWideValue(this.generator.generateBigInt(), this.generator.config.bits, wideFormat);
+            }
+            return results;
+        }
+        return generateTimestamps48(count, { generator: this.generator, format });
+    }
+    
+    /**
+     * Generate several timestamps without busy-waiting on sequence overflow
+     * @param {number} count - Number of timestamps to generate
+     * @param {string} format - Output format ('base64url', 'hex', 'number', 'binary'; 'bigint' for 64/128-bit layouts), default from config
+     * @returns {Promise<Array<string|number|bigint>>} Generated timestamps in order
+     */
+    async generateBatchAsync(count, format = this.generator.config.format) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new InvalidConfigError(`Invalid count: ${count}. Must be a non-negative integer`);
+        }
+        const { wide } = this.generator;
+        if (wide) {
+            validateWideFormat(format);
+        } else {
+            validateOutputFormat(format);
+        }
+        
+        const results = new Array(count);
+        for (let i = 0; i < count; i++) {
+            results[i] = wide
+                ? formatWideValue(await this.generator.generateBigIntAsync(), this.generator.config.bits, format)
+                : formatRawValue(await this.generator.generateRawAsync(), format, this.generator);
+        }
+        return results;
+    }
+    
     /**
      * Generate raw timestamp value
-     * @returns {number} Raw 48-bit timestamp
+     * @returns {number|bigint} Raw 48-bit timestamp, or BigInt for 64/128-bit layouts
      */
     generateRaw() {
-        return this.generator.generateRaw();
+        return this.generator.wide ? this.generator.generateBigInt() : this.generator.generateRaw();
+    }
+    
+    /**
+     * Decode timestamp from its encoded form (or 6-byte binary)
+     * @param {string|Uint8Array} encoded - Encoded timestamp
+     * @param {string} format - Format of string timestamps, default from config
+     * @returns {number|bigint} Decoded timestamp (BigInt for 64/128-bit layouts)
+     */
+    decode(encoded, format) {
+        if (this.generator.wide) {
+            return decodeComparable(encoded, this.generator, resolveComparisonFormat({ format }, this.generator));
+        }
+        return decodeTimestamp48(encoded, { generator: this.generator, format });
     }
     
     /**
-     * Decode timestamp from Base64URL
-     * @param {string} encoded - Encoded timestamp
-     * @returns {number} Decoded timestamp
+     * Parse encoded timestamp into its fields using this instance's layout
+     * @param {string|number|bigint|Uint8Array} encoded - Encoded timestamp, or raw value (BigInt for 64/128-bit layouts)
+     * @param {string} format - Format of string timestamps, default from config
+     * @returns {object} Parsed fields: unixMs, date, timestamp, nodeId, sequence, raw (BigInt for 64/128-bit layouts), layout
      */
-    decode(encoded) {
-        return decodeTimestamp48(encoded);
+    parse(encoded, format) {
+        if (this.generator.wide) {
+            const raw = this.decode(encoded, format);
+            const { timestamp, nodeId, sequence } = this.generator.decomposeRaw(raw);
+            const unixMs = this.generator.unit.toMs(timestamp) + this.generator.epoch;
+            return {
+                unixMs,
+                date: new Date(unixMs),
+                timestamp,
+                nodeId,
+                sequence,
+                raw,
+                layout: this.generator.layout
+            };
+        }
+        return parseTimestamp48(encoded, { generator: this.generator, format });
+    }
+    
+    /**
+     * Generate RFC 9562 UUIDv7 using this instance's time source
+     * @returns {string} UUIDv7 string
+     */
+    uuidv7() {
+        return generateUUIDv7({ generator: this.generator });
+    }
+    
+    /**
+     * Generate ULID using this instance's time source
+     * @returns {string} 26-character ULID
+     */
+    ulid() {
+        return generateULID({ generator: this.generator });
+    }
+    
+    /**
+     * Parse a ULID string
+     * @param {string} ulid - ULID string
+     * @returns {object} Parsed fields: unixMs, date, random
+     */
+    parseULID(ulid) {
+        return parseULID(ulid);
+    }
+    
+    /**
+     * Parse UUIDv7 string
+     * @param {string} uuid - UUIDv7 string
+     * @returns {object} Parsed fields: unixMs, date, counter
+     */
+    parseUUIDv7(uuid) {
+        return parseUUIDv7(uuid);
     }
     
     /**
      * Convert timestamp to Date object
-     * @param {number} timestamp - Timestamp to convert
+     * @param {string|number|bigint} timestamp - Timestamp to convert (encoded or BigInt for 64/128-bit layouts)
+     * @param {string} format - Format of string timestamps, default from config
      * @returns {Date} Date object
      */
-    toDate(timestamp) {
-        return timestampToDate(timestamp);
+    toDate(timestamp, format) {
+        if (this.generator.wide) {
+            return wideTimestampToDate(this.decode(timestamp, format), this.generator.config.bits, { generator: this.generator });
+        }
+        return timestampToDate(timestamp, { generator: this.generator, format });
+    }
+    
+    /**
+     * Get the smallest ID this instance's layout allows at an instant
+     * @param {Date|number} date - Instant as a Date or Unix milliseconds
+     * @param {string} format - Output format, default from config
+     * @returns {string|number|bigint|Uint8Array} Lower bound for range queries
+     */
+    lowerBound(date, format) {
+        return lowerBoundTimestamp(date, { generator: this.generator, format });
+    }
+    
+    /**
+     * Get the largest ID this instance's layout allows at an instant
+     * @param {Date|number} date - Instant as a Date or Unix milliseconds
+     * @param {string} format - Output format, default from config
+     * @returns {string|number|bigint|Uint8Array} Upper bound for range queries
+     */
+    upperBound(date, format) {
+        return upperBoundTimestamp(date, { generator: this.generator, format });
+    }
+    
+    /**
+     * Compare two IDs in generation order
+     * @param {string|number|bigint|Uint8Array} a - First ID
+     * @param {string|number|bigint|Uint8Array} b - Second ID
+     * @param {string} format - Format of string IDs, default from config
+     * @returns {number} -1, 0 or 1
+     */
+    compare(a, b, format) {
+        return compareTimestamps(a, b, { generator: this.generator, format });
+    }
+    
+    /**
+     * Sort IDs in generation order
+     * @param {Array<string|number|bigint|Uint8Array>|Float64Array} ids - IDs (left unchanged)
+     * @param {string} format - Format of string IDs, default from config
+     * @returns {Array<string|number|bigint|Uint8Array>|Float64Array} Sorted copy
+     */
+    sort(ids, format) {
+        return sortTimestamps(ids, { generator: this.generator, format });
+    }
+    
+    /**
+     * Check whether an ID was generated before another
+     * @param {string|number|bigint|Uint8Array} a - ID to check
+     * @param {string|number|bigint|Uint8Array} b - ID to compare against
+     * @param {string} format - Format of string IDs, default from config
+     * @returns {boolean} True if a sorts before b
+     */
+    isBefore(a, b, format) {
+        return isTimestampBefore(a, b, { generator: this.generator, format });
+    }
+    
+    /**
+     * Check whether an ID was generated after another
+     * @param {string|number|bigint|Uint8Array} a - ID to check
+     * @param {string|number|bigint|Uint8Array} b - ID to compare against
+     * @param {string} format - Format of string IDs, default from config
+     * @returns {boolean} True if a sorts after b
+     */
+    isAfter(a, b, format) {
+        return isTimestampAfter(a, b, { generator: this.generator, format });
+    }
+    
+    /**
+     * Get the time between two IDs
+     * @param {string|number|bigint|Uint8Array} a - ID
+     * @param {string|number|bigint|Uint8Array} b - ID to subtract
+     * @param {string} format - Format of string IDs, default from config
+     * @returns {number} Milliseconds from b to a
+     */
+    diff(a, b, format) {
+        return diffTimestamps(a, b, { generator: this.generator, format });
+    }
+    
+    /**
+     * Get the most recently generated ID
+     * @param {Array<string|number|bigint|Uint8Array>|Float64Array} ids - IDs
+     * @param {string} format - Format of string IDs, default from config
+     * @returns {string|number|bigint|Uint8Array|undefined} Latest ID, or undefined for an empty list
+     */
+    max(ids, format) {
+        return latestTimestamp(ids, { generator: this.generator, format });
+    }
+    
+    /**
+     * Get the earliest generated ID
+     * @param {Array<string|number|bigint|Uint8Array>|Float64Array} ids - IDs
+     * @param {string} format - Format of string IDs, default from config
+     * @returns {string|number|bigint|Uint8Array|undefined} Earliest ID, or undefined for an empty list
+     */
+    min(ids, format) {
+        return earliestTimestamp(ids, { generator: this.generator, format });
     }
     
     /**
      * Validate timestamp format
-     * @param {string} encoded - Encoded timestamp to validate
+     * @param {string|Uint8Array} encoded - Encoded timestamp to validate
+     * @param {string} format - Format of string timestamps, default from config
      * @returns {boolean} True if valid
      */
-    isValid(encoded) {
-        return isValidTimestamp(encoded);
+    isValid(encoded, format) {
+        if (this.generator.wide) {
+            try {
+                this.decode(encoded, format);
+                return true;
+            } catch (error) {
+                if (error instanceof InvalidConfigError) {
+                    throw error;
+                }
+                return false;
+            }
+        }
+        return isValidTimestamp(encoded, { generator: this.generator, format });
     }
     
     /**
@@ -587,6 +3948,22 @@ class GT48 {
         return this.generator.getStats();
     }
     
+    /**
+     * Get the representable time range of this instance's layout
+     * @returns {object} Range info: maxDate, remainingMs, usedPercent, expired, ...
+     */
+    getRangeInfo() {
+        return this.generator.getRangeInfo();
+    }
+    
+    /**
+     * Save the exact generator state to the configured store (e.g. on shutdown)
+     * @returns {object} Saved state
+     */
+    saveState() {
+        return this.generator.saveState();
+    }
+    
     /**
      * Static method to create new instance
      * @param {object} config - Configuration
@@ -612,22 +3989,81 @@ module.exports = {
     GT48Builder,
     // Main API functions
     generateTimestamp48,
+    generateTimestamp48Async,
+    generateTimestamps48,
     generateRawTimestamp,
     decodeTimestamp48,
+    parseTimestamp48,
     timestampToDate,
     isValidTimestamp,
     getTimestampStats,
+    generateUUIDv7,
+    parseUUIDv7,
+    generateULID,
+    parseULID,
+    isValidULID,
+    uuidv7ToULID,
+    ulidToUUIDv7,
+    ulidToTimestamp,
+    uuidv7ToTimestamp,
+    timestampToULID,
+    timestampToUUIDv7,
+    lowerBoundTimestamp,
+    upperBoundTimestamp,
+    compareTimestamps,
+    sortTimestamps,
+    isTimestampBefore,
+    isTimestampAfter,
+    diffTimestamps,
+    latestTimestamp,
+    earliestTimestamp,
     
     // Advanced API
     createGenerator,
     TimestampGenerator,
+    ManualClock,
+    HighResClock,
+    FileStateStore,
+    SharedTimestampGenerator,
+    setupClusterNodeIds,
+    createClusterGenerator,
     encodeBase64URL48,
+    encodeTaggedBase64URL48,
+    encodeBinary48,
+    encodeBase32,
+    decodeBase32,
+    isValidBase32,
+    encodeSortableBase64,
+    decodeSortableBase64,
+    isValidSortableBase64,
+    encodeBase62,
+    decodeBase62,
+    isValidBase62,
+    encodeBase36,
+    decodeBase36,
+    isValidBase36,
+    registerAlphabet,
+    getAlphabet,
+    encodeWithAlphabet,
+    decodeWithAlphabet,
+    isValidWithAlphabet,
+    generateTimestamp64,
+    generateTimestamp128,
+    encodeBase64URL64,
+    encodeBase64URL128,
+    decodeTimestamp64,
+    decodeTimestamp128,
+    timestamp64ToDate,
+    timestamp128ToDate,
+    decodeLayoutTag,
     
     // Error classes
     GT48Error,
     InvalidEncodingError,
     TimestampRangeError,
     InvalidConfigError,
+    SequenceOverflowError,
+    ClockRegressionError,
     
     // Constants for external use
     MAX_48_BIT,
@@ -12,21 +12,81 @@
 
 const {
     generateTimestamp48,
+    generateTimestamps48,
     generateRawTimestamp,
     decodeTimestamp48,
+    parseTimestamp48,
     timestampToDate,
     isValidTimestamp,
     getTimestampStats,
+    generateUUIDv7,
+    parseUUIDv7,
+    generateULID,
+    parseULID,
+    isValidULID,
+    uuidv7ToULID,
+    ulidToUUIDv7,
+    ulidToTimestamp,
+    uuidv7ToTimestamp,
+    timestampToULID,
+    timestampToUUIDv7,
     encodeBase64URL48,
+    encodeBinary48,
+    encodeBase32,
+    lowerBoundTimestamp,
+    upperBoundTimestamp,
+    compareTimestamps,
+    sortTimestamps,
+    diffTimestamps,
+    latestTimestamp,
+    earliestTimestamp,
+    decodeBase32,
+    isValidBase32,
+    encodeSortableBase64,
+    decodeSortableBase64,
+    encodeBase62,
+    decodeBase62,
+    isValidBase62,
+    encodeBase36,
+    decodeBase36,
+    registerAlphabet,
+    getAlphabet,
+    encodeWithAlphabet,
+    decodeWithAlphabet,
+    isValidWithAlphabet,
+    generateTimestamp64,
+    generateTimestamp128,
+    encodeBase64URL64,
+    decodeTimestamp64,
+    decodeTimestamp128,
+    timestamp64ToDate,
+    timestamp128ToDate,
     createGenerator,
     TimestampGenerator,
+    ManualClock,
+    HighResClock,
+    FileStateStore,
+    SharedTimestampGenerator,
+    setupClusterNodeIds,
+    createClusterGenerator,
+    GT48,
     GT48Error,
     InvalidEncodingError,
     TimestampRangeError,
+    InvalidConfigError,
+    SequenceOverflowError,
+    ClockRegressionError,
     MAX_48_BIT,
     BASE64URL_CHARS,
     DEFAULT_CONFIG
 } = require('../src/timestamp.js');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cli = require('../bin/gt48.js');
 
 // Test utilities
 class TestRunner {
@@ -214,6 +274,1286 @@ runner.test('createGenerator with custom config', () => {
     assert(typeof timestamp === 'number', 'Should generate valid timestamp');
 });
 
+runner.test('Precision option changes the tick unit', () => {
+    const generator = createGenerator({ precision: 'seconds' });
+    const raw = generator.generateRaw();
+    const ticks = Math.floor(raw / Math.pow(2, generator.config.sequenceBits));
+    const epochOffset = new Date('2024-01-01T00:00:00.000Z').getTime();
+    
+    assert(Math.abs(ticks - (Date.now() - epochOffset) / 1000) < 2, 'Ticks should be seconds since epoch');
+    
+    const date = timestampToDate(encodeBase64URL48(raw), { generator });
+    assertEqual(date.getTime(), ticks * 1000 + epochOffset, 'Round trip should be exact in seconds');
+    assertEqual(generateRawTimestamp({ generator }) % 1000, 0, 'Unix timestamp should be whole seconds');
+});
+
+runner.test('Precision recomputes the representable range', () => {
+    const seconds = createGenerator({ precision: 'seconds' });
+    const millis = createGenerator({ precision: 'milliseconds' });
+    assertEqual(seconds.maxTimestamp, millis.maxTimestamp, 'Tick budget should not depend on unit');
+    
+    // 40 bits of nanoseconds cover ~18 minutes, long past for the 2024 epoch
+    try {
+        createGenerator({ precision: 'nanoseconds' });
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof InvalidConfigError, 'Expired layouts should be rejected at construction');
+    }
+    
+    // A recent epoch brings nanosecond ticks back into range
+    const recent = createGenerator({ precision: 'nanoseconds', epoch: Date.now() - 1000, rangeWarningHorizon: 0 });
+    const date = timestampToDate(encodeBase64URL48(recent.generateRaw()), { generator: recent });
+    assert(Math.abs(date.getTime() - Date.now()) < 1000, 'Nanosecond ticks should decode to now');
+});
+
+runner.test('Custom epoch flows through generation and decoding', () => {
+    const epoch = new Date('2020-01-01T00:00:00.000Z');
+    const generator = createGenerator({ epoch });
+    assertEqual(generator.epoch, epoch.getTime(), 'Date epochs should be normalized');
+    
+    const raw = generator.generateRaw();
+    const encoded = encodeBase64URL48(raw);
+    const date = timestampToDate(encoded, { generator });
+    assert(Math.abs(date.getTime() - Date.now()) < 1000, 'Date should be decoded against the custom epoch');
+    assert(Math.abs(generateRawTimestamp({ generator }) - Date.now()) < 1000, 'Unix timestamp should use the custom epoch');
+    assertEqual(getTimestampStats({ generator }).epochOffset, epoch.getTime(), 'Stats should report the custom epoch');
+    
+    const defaultDate = timestampToDate(encoded);
+    assertEqual(date.getTime() - defaultDate.getTime(), epoch.getTime() - DEFAULT_CONFIG.epoch, 'Epochs should shift decoded dates');
+});
+
+runner.test('Range errors are computed against the chosen epoch', () => {
+    const future = createGenerator({ epoch: Date.now() + 60000 });
+    assertThrows(() => future.generateRaw(), 'Should reject times before the epoch');
+    
+    // 40 bits of milliseconds last ~34 years, so an epoch 40 years back is exhausted
+    try {
+        createGenerator({ epoch: Date.now() - 40 * 365 * 24 * 3600 * 1000 });
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof InvalidConfigError, 'Exhausted ranges should be rejected at construction');
+    }
+    
+    assertThrows(() => createGenerator({ epoch: 'yesterday' }), 'Should reject invalid epoch');
+    assertThrows(() => createGenerator({ epoch: new Date('invalid') }), 'Should reject invalid Date');
+});
+
+runner.test('Node ID bits keep distributed generators apart', () => {
+    const epoch = Date.now() - 1000;
+    const nodeA = createGenerator({ nodeBits: 4, nodeId: 1, epoch });
+    const nodeB = createGenerator({ nodeBits: 4, nodeId: 2, epoch });
+    
+    const rawA = nodeA.generateRaw();
+    const rawB = nodeB.generateRaw();
+    assert(rawA !== rawB, 'Different nodes should not collide');
+    
+    const fields = nodeB.decomposeRaw(rawB);
+    assertEqual(fields.nodeId, 2, 'Node ID should be extractable');
+    assertEqual(fields.sequence, 0, 'First value should have zero sequence');
+    assertEqual(nodeB.maxTimestamp, Math.floor(MAX_48_BIT / Math.pow(2, 12)), 'Node bits should shrink the timestamp range');
+    
+    const date = timestampToDate(encodeBase64URL48(rawB), { generator: nodeB });
+    assert(Math.abs(date.getTime() - Date.now()) < 1000, 'Date should skip node bits');
+});
+
+runner.test('Node layout is validated against the 48-bit budget', () => {
+    assertThrows(() => createGenerator({ nodeBits: 17 }), 'Should reject too many node bits');
+    assertThrows(() => createGenerator({ sequenceBits: 16, nodeBits: 10 }), 'Should reject layouts over budget');
+    assertThrows(() => createGenerator({ nodeBits: 4, nodeId: 16 }), 'Should reject node IDs that do not fit');
+    assertThrows(() => createGenerator({ nodeId: 1 }), 'Should reject node IDs without node bits');
+});
+
+runner.test('parseTimestamp48 splits fields with the generator layout', () => {
+    const generator = createGenerator({ sequenceBits: 6, nodeBits: 3, nodeId: 5, epoch: Date.now() - 1000 });
+    generator.generateRaw();
+    const raw = generator.generateRaw();
+    const parsed = parseTimestamp48(encodeBase64URL48(raw), { generator });
+    
+    assertEqual(parsed.raw, raw, 'Should expose the raw value');
+    assertEqual(parsed.nodeId, 5, 'Should extract node ID');
+    assertEqual(parsed.sequence, raw % 64, 'Should extract sequence');
+    assertEqual(parsed.unixMs, parsed.date.getTime(), 'Date should match unixMs');
+    assert(Math.abs(parsed.unixMs - Date.now()) < 1000, 'Should decode to now');
+    assertEqual(parsed.layout.timestampBits, 39, 'Layout should describe timestamp bits');
+    assertEqual(parseTimestamp48(raw, { generator }).unixMs, parsed.unixMs, 'Should accept raw values');
+    
+    // Regression: custom layouts used to be decoded with the default sequence bits
+    assertEqual(timestampToDate(encodeBase64URL48(raw), { generator }).getTime(), parsed.unixMs, 'timestampToDate should agree with parse');
+});
+
+runner.test('GT48#parse uses the instance layout', () => {
+    const gt48 = GT48.builder().sequenceBits(4).epoch(Date.now() - 1000).build();
+    const parsed = gt48.parse(gt48.generate());
+    assert(Math.abs(parsed.date.getTime() - Date.now()) < 1000, 'Should decode to now');
+    assertEqual(parsed.layout.sequenceBits, 4, 'Should report instance layout');
+    assertThrows(() => gt48.parse('invalid!'), 'Should reject invalid encodings');
+});
+
+runner.test('Self-describing encoding carries its layout', () => {
+    const epoch = Date.now() - 1000;
+    const gt48 = GT48.create({ sequenceBits: 12, nodeBits: 2, nodeId: 3, epoch, selfDescribing: true });
+    const encoded = gt48.generate();
+    
+    assertEqual(encoded.length, 18, 'Tagged output with a custom epoch should be 18 characters');
+    assert(isValidTimestamp(encoded), 'Tagged output should validate');
+    assertEqual(decodeTimestamp48(encoded), decodeTimestamp48(encoded.slice(10)), 'Payload should follow the tag and epoch');
+    assertEqual(GT48.create({ sequenceBits: 4, selfDescribing: true }).generate().length, 11, 'Default epoch tags should be 11 characters');
+    
+    // Decoder only knows the epoch, not the 12/2 bit layout
+    const decoder = createGenerator({ epoch });
+    const parsed = parseTimestamp48(encoded, { generator: decoder });
+    assertEqual(parsed.layout.sequenceBits, 12, 'Should read sequence bits from the tag');
+    assertEqual(parsed.nodeId, 3, 'Should read node ID using the tagged layout');
+    assert(Math.abs(timestampToDate(encoded, { generator: decoder }).getTime() - Date.now()) < 1000, 'Should decode date with the tagged layout');
+    
+    assertEqual(GT48.create({ epoch }).generate().length, 8, 'Plain format should stay the default');
+});
+
+runner.test('Custom-epoch tagged IDs decode without a generator', () => {
+    const epoch = Date.UTC(2026, 6, 1);
+    const clock = new ManualClock(Date.UTC(2026, 9, 1));
+    const encoded = GT48.create({ epoch, clock, sequenceBits: 10, selfDescribing: true }).generate();
+    
+    assertEqual(timestampToDate(encoded).getTime(), Date.UTC(2026, 9, 1), 'Should decode with the recorded epoch');
+    assertEqual(parseTimestamp48(encoded).layout.epoch, epoch, 'Parsed layout should report the recorded epoch');
+    assertEqual(GT48.create().toDate(encoded).getTime(), Date.UTC(2026, 9, 1), 'Other instances should decode it too');
+    assertThrows(() => createGenerator({ epoch: Math.pow(2, 42), selfDescribing: true }), 'Should reject epochs the tag cannot record');
+});
+
+runner.test('Malformed layout tags are rejected', () => {
+    const valid = GT48.create({ selfDescribing: true, sequenceBits: 4, epoch: Date.now() }).generate();
+    assert(!isValidTimestamp('A' + valid.slice(1)), 'Should reject unknown tag versions');
+    assert(!isValidTimestamp(valid.slice(0, 1) + 'AA' + valid.slice(3)), 'Should reject zero sequence bits');
+    assert(!isValidTimestamp(valid.slice(0, 10)), 'Should reject truncated tagged values');
+});
+
+runner.test('generateUUIDv7 follows RFC 9562 layout', () => {
+    const uuid = generateUUIDv7();
+    assert(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(uuid), `Invalid UUIDv7 format: ${uuid}`);
+    
+    const parsed = parseUUIDv7(uuid);
+    assert(Math.abs(parsed.unixMs - Date.now()) < 1000, 'Timestamp should be current Unix ms');
+    assertEqual(parsed.date.getTime(), parsed.unixMs, 'Date should match unixMs');
+    assert(parsed.counter >= 0 && parsed.counter <= 0xFFF, 'Counter should fit rand_a');
+    
+    assertThrows(() => parseUUIDv7('00000000-0000-4000-8000-000000000000'), 'Should reject other versions');
+    assertThrows(() => parseUUIDv7('not-a-uuid'), 'Should reject malformed strings');
+});
+
+runner.test('UUIDv7 values are unique and sortable', () => {
+    const gt48 = GT48.create();
+    const uuids = [];
+    for (let i = 0; i < 5000; i++) {
+        uuids.push(gt48.uuidv7());
+    }
+    
+    for (let i = 1; i < uuids.length; i++) {
+        assert(uuids[i] > uuids[i - 1], 'UUIDv7 should sort in generation order');
+    }
+    assertEqual(new Set(uuids).size, uuids.length, 'UUIDv7 should be unique');
+});
+
+runner.test("UUIDv7 honors the 'throw' clock drift policy", () => {
+    const clock = new ManualClock(Date.UTC(2026, 5, 1));
+    const gt48 = new GT48({ epoch: Date.UTC(2026, 0, 1), clock, clockDriftPolicy: 'throw', maxClockRegression: 10 });
+    const first = gt48.uuidv7();
+    
+    clock.rewind(5); // Within tolerance: continues on the last millisecond
+    assert(gt48.uuidv7() > first, 'Small regressions should be absorbed');
+    
+    clock.rewind(60000);
+    try {
+        gt48.uuidv7();
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof ClockRegressionError, 'Should throw ClockRegressionError');
+        assertEqual(error.regressionMs, 60005, 'Error should report the regression');
+    }
+    
+    // Other policies keep issuing on the last millisecond
+    const lenient = new GT48({ epoch: Date.UTC(2026, 0, 1), clock: new ManualClock(Date.UTC(2026, 5, 1)) });
+    const before = lenient.uuidv7();
+    lenient.generator.clock.rewind(60000);
+    assert(lenient.uuidv7() > before, "'continue-logical' should keep UUIDv7 increasing");
+});
+
+runner.test("Overflow strategy 'throw' raises SequenceOverflowError", () => {
+    const generator = createGenerator({ sequenceBits: 1, overflowStrategy: 'throw', epoch: Date.now() - 1000 });
+    let thrown = null;
+    for (let i = 0; i < 10000 && !thrown; i++) {
+        try {
+            generator.generateRaw();
+        } catch (error) {
+            thrown = error;
+        }
+    }
+    
+    assert(thrown instanceof SequenceOverflowError, 'Should throw SequenceOverflowError');
+    assert(generator.getStats().overflowCount >= 1, 'Should count the overflow');
+    assertThrows(() => createGenerator({ overflowStrategy: 'drop' }), 'Should reject unknown strategies');
+});
+
+runner.test("Overflow strategy 'borrow-future' never waits", () => {
+    const generator = createGenerator({ sequenceBits: 1, overflowStrategy: 'borrow-future', epoch: Date.now() - 1000 });
+    const values = [];
+    for (let i = 0; i < 1000; i++) {
+        values.push(generator.generateRaw());
+    }
+    
+    for (let i = 1; i < values.length; i++) {
+        assert(values[i] > values[i - 1], 'Borrowed values should stay strictly increasing');
+    }
+    const stats = generator.getStats();
+    assert(stats.borrowedTicks > 0, 'Should report borrowed ticks');
+    assertEqual(stats.overflowStrategy, 'borrow-future', 'Should report the strategy');
+});
+
+runner.test('generateBatchAsync awaits the next tick instead of spinning', async () => {
+    const gt48 = GT48.create({ sequenceBits: 1, epoch: Date.now() - 1000 });
+    let ticks = 0;
+    const interval = setInterval(() => ticks++, 1);
+    
+    const values = await gt48.generateBatchAsync(40, 'number');
+    clearInterval(interval);
+    
+    assertEqual(values.length, 40, 'Should generate the requested count');
+    for (let i = 1; i < values.length; i++) {
+        assert(values[i] > values[i - 1], 'Async values should be strictly increasing');
+    }
+    assert(gt48.getStats().overflowCount > 0, 'Should have overflowed the 1-bit sequence');
+    assert(ticks > 0, 'Event loop should keep running while waiting');
+    assertEqual(typeof await gt48.generateAsync(), 'string', 'generateAsync should default to Base64URL');
+});
+
+runner.test("Clock regression policy 'throw' rejects large steps", () => {
+    const events = [];
+    const clock = new ManualClock();
+    const generator = createGenerator({
+        clock,
+        clockDriftPolicy: 'throw',
+        maxClockRegression: 100,
+        onClockRegression: (info) => events.push(info)
+    });
+    
+    generator.generateRaw();
+    clock.rewind(50); // Within tolerance: continues on the last timestamp
+    const tolerated = generator.generateRaw();
+    assert(tolerated > 0, 'Small regressions should be absorbed');
+    
+    clock.rewind(5000);
+    try {
+        generator.generateRaw();
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof ClockRegressionError, 'Should throw ClockRegressionError');
+        assertEqual(error.regressionMs, 5050, 'Error should report the regression');
+    }
+    
+    const stats = generator.getStats();
+    assertEqual(stats.clockRegressionCount, 1, 'Continuous regression should count once');
+    assertEqual(stats.lastClockRegressionMs, 5050, 'Should report the latest regression depth');
+    assertEqual(events.length, 1, 'Should notify once per regression');
+    assertEqual(events[0].policy, 'tolerated', 'First step was within tolerance');
+});
+
+runner.test("Clock regression policy 'continue-logical' never waits", () => {
+    const clock = new ManualClock();
+    const generator = createGenerator({ clock, sequenceBits: 1, clockDriftPolicy: 'continue-logical', maxClockRegression: 0 });
+    
+    const values = [generator.generateRaw()];
+    clock.rewind(10000); // NTP step of 10 seconds
+    for (let i = 0; i < 100; i++) {
+        values.push(generator.generateRaw());
+    }
+    
+    for (let i = 1; i < values.length; i++) {
+        assert(values[i] > values[i - 1], 'Logical clock should keep values increasing');
+    }
+    const stats = generator.getStats();
+    assertEqual(stats.maxClockRegressionMs, 10000, 'Should report regression depth');
+    assert(stats.borrowedTicks > 0, 'Should advance the logical clock on overflow');
+});
+
+runner.test('Default clock regression policy does not block', () => {
+    const clock = new ManualClock();
+    const generator = createGenerator({ clock, sequenceBits: 1 });
+    
+    const first = generator.generateRaw();
+    clock.rewind(60000);
+    const start = Date.now();
+    const second = generator.generateRaw();
+    clock.advance(1000);
+    const third = generator.generateRaw();
+    
+    assert(Date.now() - start < 1000, 'Should not wait for the clock to catch up');
+    assert(first < second && second < third, 'Should keep values increasing');
+    const stats = generator.getStats();
+    assertEqual(stats.clockRegressionCount, 1, 'Continuous regression should count once');
+    assertEqual(stats.lastClockRegressionMs, 59000, 'Should track the latest regressed reading');
+    assertEqual(stats.maxClockRegressionMs, 60000, 'Should keep the deepest reading');
+});
+
+runner.test("Clock regression policy 'wait' resumes once the clock catches up", async () => {
+    const clock = new ManualClock();
+    const generator = createGenerator({ clock, clockDriftPolicy: 'wait', maxClockRegression: 0 });
+    
+    const first = generator.generateRaw();
+    clock.rewind(20);
+    setTimeout(() => clock.advance(20), 5);
+    const second = await generator.generateRawAsync();
+    
+    assert(second > first, 'Should resume after the clock catches up');
+    assertThrows(() => createGenerator({ clockDriftPolicy: 'ignore' }), 'Should reject unknown policies');
+});
+
+runner.test('monotonic: false draws unique random sequences', () => {
+    const generator = createGenerator({ monotonic: false, sequenceBits: 4, epoch: Date.now() - 1000 });
+    const values = [];
+    for (let i = 0; i < 2000; i++) {
+        values.push(generator.generateRaw());
+    }
+    
+    assertEqual(new Set(values).size, values.length, 'Random sequences should stay unique');
+    let decreases = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] < values[i - 1]) {
+            decreases++;
+        }
+    }
+    assert(decreases > 0, 'Random sequences should not be strictly ordered');
+    
+    const stats = generator.getStats();
+    assert(stats.collisionCount > 0, 'Should report re-drawn collisions');
+    assertEqual(stats.config.monotonic, false, 'Should report the mode');
+});
+
+runner.test('Injected clock drives generation deterministically', () => {
+    const epoch = Date.UTC(2030, 0, 1);
+    const clock = new ManualClock(epoch + 5000);
+    const generator = createGenerator({ clock, epoch, sequenceBits: 2, overflowStrategy: 'throw' });
+    
+    const values = [];
+    for (let i = 0; i < 4; i++) {
+        values.push(generator.generateRaw());
+    }
+    assertEqual(values[0], 5000 * 4, 'Should read time from the clock');
+    assertEqual(values[3], 5000 * 4 + 3, 'Frozen clock should fill the sequence');
+    assertThrows(() => generator.generateRaw(), 'Fifth value in a frozen tick should overflow');
+    
+    clock.advance(1);
+    assertEqual(generator.generateRaw(), 5001 * 4, 'Advancing the clock should start a new tick');
+    
+    clock.set(epoch + generator.maxTimestamp + 1);
+    try {
+        generator.generateRaw();
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof TimestampRangeError, 'End of range should throw TimestampRangeError');
+    }
+});
+
+runner.test("Overflow strategy 'spin' gives up on a clock that never advances", () => {
+    const epoch = Date.UTC(2030, 0, 1);
+    const clock = new ManualClock(epoch + 5000);
+    const generator = createGenerator({ clock, epoch, sequenceBits: 1 });
+    generator.generateRaw();
+    generator.generateRaw();
+    try {
+        generator.generateRaw();
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof SequenceOverflowError, 'Frozen clocks should throw SequenceOverflowError');
+    }
+    clock.advance(1);
+    assertEqual(generator.generateRaw(), 5001 * 2, 'Should continue once the clock moves');
+    
+    const stuck = createGenerator({ clock: () => epoch + 5000, epoch, sequenceBits: 1 });
+    stuck.generateRaw();
+    stuck.generateRaw();
+    assertThrows(() => stuck.generateBigInt(), 'Clocks that stop advancing should be detected');
+});
+
+runner.test('Clock option accepts functions and reaches every entry point', () => {
+    const fixed = Date.UTC(2030, 0, 1);
+    const generator = createGenerator({ clock: () => fixed });
+    assertEqual(generateRawTimestamp({ generator }), fixed, 'Function clocks should be supported');
+    assertEqual(parseUUIDv7(generateUUIDv7({ generator })).unixMs, fixed, 'UUIDv7 should use the injected clock');
+    
+    const gt48 = GT48.builder().clock(new ManualClock(fixed)).build();
+    assertEqual(gt48.toDate(gt48.generate()).getTime(), fixed, 'Builder should accept a clock');
+    assertThrows(() => createGenerator({ clock: {} }), 'Should reject objects without now()');
+});
+
+runner.test('Clocks that do not return a finite number are rejected', () => {
+    for (const reading of [undefined, NaN, Infinity, '1780000000000']) {
+        try {
+            new TimestampGenerator({ clock: () => reading });
+            assert(false, 'Should have thrown error');
+        } catch (error) {
+            assert(error instanceof InvalidConfigError, `Should reject a clock returning ${String(reading)}`);
+        }
+    }
+    
+    // A clock that goes bad after construction fails on the next read
+    let reading = Date.UTC(2026, 5, 1);
+    const generator = new TimestampGenerator({ epoch: Date.UTC(2026, 0, 1), clock: () => reading });
+    generator.generateRaw();
+    reading = undefined;
+    assertThrows(() => generator.generateRaw(), 'Should reject an invalid reading during generation');
+    assertThrows(() => generateUUIDv7({ generator }), 'UUIDv7 should reject an invalid reading');
+});
+
+runner.test('ManualClock can be frozen, advanced and rewound', () => {
+    const clock = new ManualClock(1000);
+    assertEqual(clock.now(), 1000, 'Should start frozen at the given time');
+    assertEqual(clock.advance(500).now(), 1500, 'Should advance');
+    assertEqual(clock.rewind(200).now(), 1300, 'Should rewind');
+    assertEqual(clock.set(new Date(5000)).now(), 5000, 'Should jump to a Date');
+    
+    clock.unfreeze();
+    assert(clock.now() >= 5000 && clock.now() < 6000, 'Should run from its current value');
+    clock.freeze();
+    const frozen = clock.now();
+    assertEqual(clock.now(), frozen, 'Should stop when frozen');
+});
+
+runner.test('HighResClock is anchored to wall time and never goes backwards', () => {
+    const clock = new HighResClock();
+    assert(Math.abs(clock.now() - Date.now()) < 50, 'Should track wall time, not the hrtime origin');
+    
+    let previous = clock.nowNs();
+    for (let i = 0; i < 1000; i++) {
+        const current = clock.nowNs();
+        assert(current >= previous, 'Readings should never decrease');
+        previous = current;
+    }
+    
+    // Wall clock steps back one second on every re-sync
+    let wall = Date.now();
+    const stepping = new HighResClock({ resyncInterval: 0, wallClock: () => (wall -= 1000) });
+    const before = stepping.nowNs();
+    const after = stepping.nowNs();
+    assert(stepping.resyncCount > 0, 'Should re-sync to wall time');
+    assert(after >= before, 'Re-sync should not move time backwards');
+});
+
+runner.test('High-resolution mode yields integer sub-millisecond ticks', () => {
+    const generator = createGenerator({ precision: 'nanoseconds', useHighResTime: true, epoch: Date.now() - 1000, rangeWarningHorizon: 0 });
+    const timestamp = generator._getCurrentTime();
+    assert(Number.isInteger(timestamp), 'Nanosecond ticks should be integers');
+    
+    const unixMs = generator.unit.toMs(timestamp) + generator.epoch;
+    assert(Math.abs(unixMs - Date.now()) < 50, 'Ticks should be anchored to the wall clock');
+    
+    const ms = createGenerator({ useHighResTime: true });
+    assert(Math.abs(generateRawTimestamp({ generator: ms }) - Date.now()) < 50, 'Millisecond mode should stay on wall time');
+});
+
+runner.test('Batch generation reserves sequence ranges and stays monotonic', () => {
+    const clock = new ManualClock(Date.UTC(2030, 0, 1));
+    const generator = createGenerator({ clock, sequenceBits: 4, overflowStrategy: 'borrow-future' });
+    
+    const raw = generator.generateRawBatch(40);
+    assert(raw instanceof Float64Array, 'Raw batches should be typed arrays');
+    for (let i = 1; i < raw.length; i++) {
+        assert(raw[i] > raw[i - 1], 'Batch values should be strictly increasing');
+    }
+    assertEqual(generator.decomposeRaw(raw[15]).sequence, 15, 'Should fill the tick contiguously');
+    assertEqual(generator.getStats().generatedCount, 40, 'Reserved values should be counted');
+    
+    const next = generator.generateRaw();
+    assert(next > raw[raw.length - 1], 'Ordering should hold across batch boundaries');
+    const again = generateTimestamps48(5, { generator, format: 'number' });
+    assert(again[0] > next, 'Following batches should continue the sequence');
+});
+
+runner.test('Batch generation supports every output format', () => {
+    const gt48 = GT48.builder().epoch(Date.now() - 1000).build();
+    const encoded = gt48.generateBatch(1000);
+    assertEqual(encoded.length, 1000, 'Should return the requested count');
+    assertEqual(new Set(encoded).size, 1000, 'Batch values should be unique');
+    assert(encoded.every((value, i) => i === 0 || gt48.decode(value) > gt48.decode(encoded[i - 1])), 'Base64URL batch should decode in order');
+    
+    const hex = gt48.generateBatch(3, 'hex');
+    assert(hex.every((value) => /^[0-9a-f]{12}$/.test(value)), 'Hex batch should be 12-digit hex');
+    assertEqual(gt48.generateBatch(0).length, 0, 'Empty batches should be allowed');
+    assertThrows(() => gt48.generateBatch(-1), 'Should reject negative counts');
+    assertThrows(() => gt48.generateBatch(2, 'octal'), 'Should reject unknown formats');
+});
+
+runner.test('64-bit layouts extend the timestamp range with BigInt packing', () => {
+    const fixed = Date.UTC(2090, 5, 1);
+    const generator = createGenerator({ bits: 64, sequenceBits: 16, nodeBits: 6, nodeId: 33, clock: () => fixed });
+    assertEqual(generator.layout.timestampBits, 42, 'Timestamp should get the remaining 42 bits');
+    
+    const first = generator.generateBigInt();
+    const second = generator.generateBigInt();
+    assert(typeof first === 'bigint' && second > first, 'BigInt IDs should increase');
+    assertEqual(generator.decomposeRaw(second).nodeId, 33, 'Node ID should be packed');
+    assertEqual(generator.decomposeRaw(second).sequence, 1, 'Sequence should be packed');
+    
+    const encoded = generateTimestamp64({ generator });
+    assertEqual(encoded.length, 11, '64-bit Base64URL should be 11 characters');
+    assertEqual(timestamp64ToDate(encoded, { generator }).getTime(), fixed, 'Should round-trip to the date');
+    assertEqual(decodeTimestamp64(encodeBase64URL64(0xFFFFFFFFFFFFFFFFn)), 0xFFFFFFFFFFFFFFFFn, 'Should round-trip the 64-bit maximum');
+    assertThrows(() => decodeTimestamp64('__________-'), 'Should reject values above 64 bits');
+    assertThrows(() => generator.generateRaw(), 'Number path should refuse wide layouts');
+});
+
+runner.test('128-bit layouts and GT48 dispatch on the configured width', () => {
+    const gt48 = GT48.builder().bits(128).build();
+    const encoded = gt48.generate();
+    assertEqual(encoded.length, 22, '128-bit Base64URL should be 22 characters');
+    assertEqual(typeof gt48.generateRaw(), 'bigint', 'Raw values should be BigInts');
+    assert(Math.abs(gt48.toDate(encoded).getTime() - Date.now()) < 1000, 'Should decode to the current date');
+    assertEqual(gt48.generate('hex').length, 32, 'Hex should be 32 digits');
+    assert(decodeTimestamp128(generateTimestamp128()) > 0n, 'Default 128-bit generator should work');
+    assert(Math.abs(timestamp128ToDate(generateTimestamp128({ format: 'bigint' })).getTime() - Date.now()) < 1000, 'Should convert BigInts');
+    
+    assertThrows(() => generateTimestamp64({ generator: createGenerator() }), 'Should reject mismatched generators');
+    assertThrows(() => createGenerator({ bits: 96 }), 'Should reject unsupported widths');
+    assertThrows(() => createGenerator({ bits: 64, selfDescribing: true }), 'Layout tags are 48-bit only');
+});
+
+runner.test('128-bit layouts allow wide node and sequence fields', async () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 9, 1));
+    const nodeId = Math.pow(2, 40) - 3;
+    const gt48 = new GT48({ bits: 128, epoch, clock, sequenceBits: 32, nodeBits: 40, nodeId });
+    assertEqual(gt48.generator.layout.timestampBits, 56, 'Timestamp should keep the remaining bits');
+    
+    const batch = gt48.generateBatch(3, 'bigint');
+    const batchAsync = await gt48.generateBatchAsync(2);
+    const single = await gt48.generateAsync('bigint');
+    assert(batch.every((id, i) => typeof id === 'bigint' && (i === 0 || id > batch[i - 1])), 'Batches should be increasing BigInts');
+    assertEqual(gt48.parse(batch[2]).nodeId, nodeId, 'Should pack a 40-bit node ID');
+    assertEqual(gt48.parse(batch[2]).sequence, 2, 'Should pack the sequence');
+    assertEqual(gt48.compare(batchAsync[1], single), -1, 'Async IDs should continue the order');
+    assertEqual(gt48.toDate(single).getTime(), Date.UTC(2026, 9, 1), 'Should decode the date');
+    
+    assertThrows(() => createGenerator({ bits: 64, sequenceBits: 20 }), '64-bit fields stay limited to 16 bits');
+    assertThrows(() => createGenerator({ bits: 128, sequenceBits: 48, nodeBits: 48 }), 'Should keep 53 timestamp bits');
+    assertThrows(() => createGenerator({ bits: 128, sequenceBits: 20, monotonic: false }), 'Random sequences stay limited to 16 bits');
+    assertThrows(() => generateTimestamps48(2, { generator: gt48.generator }), '48-bit functions should reject wide generators');
+});
+
+runner.test('GT48#parse() reads the instance\'s own wide IDs', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 9, 1, 12));
+    const gt48 = new GT48({ bits: 64, epoch, clock, nodeBits: 10, nodeId: 513 });
+    gt48.generate();
+    const id = gt48.generate();
+    
+    const parsed = gt48.parse(id);
+    assertEqual(parsed.unixMs, Date.UTC(2026, 9, 1, 12), 'Should decode the date');
+    assertEqual(parsed.nodeId, 513, 'Should decode the node ID');
+    assertEqual(parsed.sequence, 1, 'Should decode the sequence');
+    assertEqual(parsed.raw, gt48.decode(id), 'Raw value should be the decoded BigInt');
+    assertEqual(parsed.layout.bits, 64, 'Should report the wide layout');
+    assertEqual(gt48.parse(parsed.raw.toString(16).padStart(16, '0'), 'hex').sequence, 1, 'Should accept a format');
+});
+
+runner.test('Range info reports max date, remaining lifetime and usage', () => {
+    const epoch = Date.UTC(2030, 0, 1);
+    const clock = new ManualClock(epoch);
+    // 16 sequence bits leave 32 bits of milliseconds (~49.7 days)
+    const generator = createGenerator({ epoch, clock, sequenceBits: 16, rangeWarningHorizon: 0 });
+    const totalMs = Math.pow(2, 32) - 1;
+    
+    let range = generator.getRangeInfo();
+    assertEqual(range.maxDate.getTime(), epoch + totalMs, 'Should report the last representable instant');
+    assertEqual(range.remainingMs, totalMs, 'Nothing should be used at the epoch');
+    assertEqual(range.usedPercent, 0, 'Usage should start at zero');
+    
+    clock.advance(totalMs / 4);
+    range = generator.getStats().range;
+    assert(Math.abs(range.usedPercent - 25) < 1e-9, 'Usage should follow the clock');
+    assertEqual(range.expired, false, 'Range should not be expired yet');
+    
+    clock.set(epoch + totalMs + 1);
+    assertEqual(generator.getRangeInfo().expired, true, 'Range should expire after the last instant');
+    assertEqual(generator.getRangeInfo().remainingMs, 0, 'No lifetime should remain');
+});
+
+runner.test('Expiring layouts emit a warning within the horizon', () => {
+    // Capture warnings instead of printing them
+    const warnings = [];
+    const emitWarning = process.emitWarning;
+    process.emitWarning = (message, options) => warnings.push({ message, code: options.code });
+    try {
+        const clock = new ManualClock(Date.UTC(2031, 0, 1));
+        const epoch = Date.UTC(2030, 11, 1);
+        // 16 sequence bits: ~49.7 days of range, 31 already used
+        createGenerator({ epoch, clock, sequenceBits: 16, rangeWarningHorizon: 0 });
+        createGenerator({ epoch, clock, sequenceBits: 8 });
+        createGenerator({ epoch, clock, sequenceBits: 16 });
+        createGenerator({ epoch, clock, sequenceBits: 16 });
+        
+        // Remembered layouts are bounded: old ones warn again once evicted
+        for (let i = 1; i <= 64; i++) {
+            createGenerator({ epoch: epoch - i * 1000, clock, rangeWarningHorizon: Infinity });
+        }
+        createGenerator({ epoch, clock, sequenceBits: 16 });
+    } finally {
+        process.emitWarning = emitWarning;
+    }
+    
+    const expiring = warnings.filter((warning) => warning.code === 'GT48_RANGE_EXPIRING' && warning.message.includes('16 sequence bits'));
+    assertEqual(expiring.length, 2, 'Should warn once per remembered layout');
+    assert(expiring[0].message.includes('2030-12-01'), 'Warning should describe the layout');
+    assertEqual(warnings.length, 66, 'Should warn for every newly seen layout');
+});
+
+runner.test('Binary format yields sortable 6-byte big-endian arrays', () => {
+    const generator = createGenerator({ epoch: Date.now() - 1000 });
+    const bytes = generateTimestamp48({ generator, format: 'binary' });
+    assert(bytes instanceof Uint8Array, 'Binary output should be a Uint8Array');
+    assertEqual(bytes.length, 6, 'Binary output should be 6 bytes');
+    
+    assertEqual(Array.from(encodeBinary48(0x0102030405FF)).join(','), '1,2,3,4,5,255', 'Should be big-endian');
+    assertEqual(decodeTimestamp48(encodeBinary48(MAX_48_BIT)), MAX_48_BIT, 'Should round-trip the maximum');
+    assertEqual(decodeTimestamp48(Buffer.from(encodeBinary48(123456789))), 123456789, 'Should accept Buffers');
+    
+    const later = generateTimestamp48({ generator, format: 'binary' });
+    assert(Buffer.compare(Buffer.from(bytes), Buffer.from(later)) < 0, 'Byte order should follow generation order');
+    assert(Math.abs(timestampToDate(later, { generator }).getTime() - Date.now()) < 1000, 'Should convert to a Date');
+});
+
+runner.test('isValidTimestamp accepts byte arrays', () => {
+    assert(isValidTimestamp(encodeBinary48(42)), 'Valid 6-byte arrays should pass');
+    assert(!isValidTimestamp(new Uint8Array(5)), 'Wrong lengths should fail');
+    assertThrows(() => decodeTimestamp48(new Uint8Array(7)), 'Decoding wrong lengths should throw');
+    
+    const batch = GT48.builder().epoch(Date.now() - 1000).build().generateBatch(3, 'binary');
+    assert(batch.every((value) => value instanceof Uint8Array && value.length === 6), 'Batches should support binary');
+});
+
+runner.test('Configured format is the default output everywhere', async () => {
+    const epoch = Date.now() - 1000;
+    const hex = GT48.builder().format('hex').epoch(epoch).build();
+    assert(/^[0-9a-f]{12}$/.test(hex.generate()), 'generate() should use the configured format');
+    assert(/^[0-9a-f]{12}$/.test(await hex.generateAsync()), 'generateAsync() should use the configured format');
+    assert(hex.generateBatch(2).every((value) => /^[0-9a-f]{12}$/.test(value)), 'generateBatch() should use the configured format');
+    assertEqual(hex.generate('base64url').length, 8, 'An explicit format should still win');
+    
+    const generator = createGenerator({ format: 'number', epoch });
+    assertEqual(typeof generateTimestamp48({ generator }), 'number', 'generateTimestamp48 should use the generator format');
+    assert(generateTimestamps48(2, { generator }) instanceof Float64Array, 'Batches should use the generator format');
+    assert(GT48.builder().format('binary').epoch(epoch).build().generate() instanceof Uint8Array, 'Binary should be configurable');
+    assertEqual(typeof GT48.builder().bits(64).format('bigint').build().generate(), 'bigint', 'Wide layouts should accept bigint');
+});
+
+runner.test('Config format is validated against the layout width', () => {
+    assertThrows(() => createGenerator({ format: 'bigint' }), '48-bit IDs cannot default to bigint');
+    assertThrows(() => createGenerator({ bits: 64, format: 'number' }), 'Wide IDs cannot default to number');
+    assertThrows(() => createGenerator({ format: 'octal' }), 'Unknown formats should be rejected');
+});
+
+runner.test('Sortable encodings round-trip and sort like their values', () => {
+    const codecs = [
+        [encodeBase32, decodeBase32, 10],
+        [encodeSortableBase64, decodeSortableBase64, 8],
+        [encodeBase62, decodeBase62, 9],
+        [encodeBase36, decodeBase36, 10]
+    ];
+    const values = [0, 1, 63, 64, 1000, 123456789, 2 ** 40, MAX_48_BIT - 1, MAX_48_BIT];
+    
+    for (const [encode, decode, length] of codecs) {
+        const encoded = values.map(encode);
+        encoded.forEach((value, i) => {
+            assertEqual(value.length, length, `${encode.name} should be ${length} characters`);
+            assertEqual(decode(value), values[i], `${encode.name} should round-trip`);
+        });
+        assertEqual([...encoded].sort().join(), encoded.join(), `${encode.name} should sort in numeric order`);
+    }
+});
+
+runner.test('Sortable encodings validate input and are available as formats', () => {
+    assertEqual(decodeBase32('7zzzzzzzzz'), MAX_48_BIT, 'Crockford Base32 should be case-insensitive');
+    assertEqual(decodeBase32('00000000IL'), decodeBase32('0000000011'), 'I and L should read as 1');
+    assert(!isValidBase32('000000000U'), 'U is not in the Crockford alphabet');
+    assert(!isValidBase32('8000000000'), 'Values above 48 bits should be rejected');
+    assert(!isValidBase62('zzzzzzzzz'), 'Base62 overflow should be rejected');
+    assertThrows(() => decodeBase36('abc'), 'Wrong lengths should be rejected');
+    
+    const generator = createGenerator({ epoch: Date.now() - 1000 });
+    const ids = generateTimestamps48(200, { generator, format: 'base32' });
+    assertEqual([...ids].sort().join(), ids.join(), 'Generated Base32 IDs should sort in generation order');
+    assertEqual(generateTimestamp48({ generator, format: 'base64sort' }).length, 8, 'Sortable Base64 should be a format');
+    assertEqual(GT48.builder().format('base62').epoch(Date.now() - 1000).build().generate().length, 9, 'Base62 should be configurable');
+});
+
+runner.test('ULIDs use the generator clock and stay monotonic within a millisecond', () => {
+    // Reference time from the ULID spec: 1469918176385 encodes as 01ARYZ6S41
+    const generator = createGenerator({ clock: () => 1469918176385 });
+    const ulids = [];
+    for (let i = 0; i < 100; i++) {
+        ulids.push(generateULID({ generator }));
+    }
+    
+    assert(ulids.every((ulid) => ulid.length === 26 && ulid.startsWith('01ARYZ6S41')), 'Time component should match the spec encoding');
+    assertEqual([...ulids].sort().join(), ulids.join(), 'ULIDs within a millisecond should sort in generation order');
+    assertEqual(new Set(ulids).size, 100, 'ULIDs should be unique');
+    
+    const parsed = parseULID(ulids[1]);
+    assertEqual(parsed.unixMs, 1469918176385, 'Should parse the time component');
+    assertEqual(parsed.random.length, 10, 'Should expose the 80-bit random part');
+    assertEqual(parsed.random[9], (parseULID(ulids[0]).random[9] + 1) & 0xFF, 'Random part should increment by one');
+    assertEqual(parseULID(ulids[0].toLowerCase()).unixMs, 1469918176385, 'Parsing should be case-insensitive');
+    assert(!isValidULID('8ZZZZZZZZZZZZZZZZZZZZZZZZZ'), 'Values above 128 bits should be invalid');
+    assert(!isValidULID('01ARYZ6S41'), 'Short strings should be invalid');
+});
+
+runner.test('ULID random overflow fails instead of moving the timestamp', () => {
+    const clock = new ManualClock(1469918176385);
+    const generator = createGenerator({ clock, clockDriftPolicy: 'throw', maxClockRegression: 10 });
+    
+    generateULID({ generator });
+    const snapshot = generator.snapshot();
+    snapshot.ulidRandom.fill(0xFF);
+    generator.restore(snapshot);
+    try {
+        generateULID({ generator });
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof SequenceOverflowError, 'Should throw SequenceOverflowError');
+    }
+    
+    clock.advance(1);
+    assertEqual(parseULID(generateULID({ generator })).unixMs, 1469918176386, 'The next millisecond should succeed');
+    clock.rewind(100);
+    assertThrows(() => generateULID({ generator }), "Should honor the 'throw' clock drift policy");
+});
+
+runner.test('ULID, UUIDv7 and gt48 values convert where information permits', () => {
+    const uuid = generateUUIDv7();
+    const ulid = uuidv7ToULID(uuid);
+    assertEqual(ulidToUUIDv7(ulid), uuid, 'UUIDv7 -> ULID -> UUIDv7 should be lossless');
+    assertEqual(parseULID(ulid).unixMs, parseUUIDv7(uuid).unixMs, 'Both should carry the same time');
+    
+    const fromULID = ulidToUUIDv7(generateULID());
+    assert(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(fromULID), 'Should set version and variant bits');
+    
+    const generator = createGenerator({ clock: new ManualClock(Date.UTC(2030, 0, 1, 12)) });
+    const timestamp = generateTimestamp48({ generator });
+    assertEqual(parseULID(timestampToULID(timestamp, { generator })).unixMs, Date.UTC(2030, 0, 1, 12), 'gt48 -> ULID should keep the time');
+    assertEqual(parseUUIDv7(timestampToUUIDv7(timestamp, { generator })).unixMs, Date.UTC(2030, 0, 1, 12), 'gt48 -> UUIDv7 should keep the time');
+    assertEqual(ulidToTimestamp(timestampToULID(timestamp, { generator }), { generator }), timestamp, 'Sequence zero values should round-trip');
+    assertEqual(timestampToDate(uuidv7ToTimestamp(uuid, { generator }), { generator }).getTime(), parseUUIDv7(uuid).unixMs, 'UUIDv7 -> gt48 should keep the time');
+});
+
+runner.test('Functional API functions validate options and generator width alike', () => {
+    const wide = createGenerator({ bits: 64 });
+    const ulid = generateULID();
+    assertThrows(() => ulidToTimestamp(ulid, { generator: wide }), 'Conversions should require a 48-bit generator');
+    assertThrows(() => generateTimestamp64({ generator: createGenerator() }), '64-bit functions should require a 64-bit generator');
+    assertThrows(() => compareTimestamps('AAAAAAAA', 'AAAAAAAB', 'base64url'), 'Non-object options should be rejected');
+    assertThrows(() => lowerBoundTimestamp(Date.now(), { generator: {} }), 'Non-generators should be rejected');
+    assertEqual(typeof ulidToTimestamp(ulid), 'string', 'Missing options should use the default generator');
+});
+
+runner.test('Custom alphabets register as output formats', () => {
+    // Base32 without 0/O and 1/I/L, in ascending ASCII order so it still sorts
+    const info = registerAlphabet('test-nolookalike', '23456789ABCDEFGHJKMNPQRSTUVWXYZ', { caseInsensitive: true });
+    assertEqual(info.radix, 31, 'Radix should be the alphabet length');
+    assertEqual(info.length, 10, 'Length should be the shortest width holding 48 bits');
+    assertEqual(getAlphabet('test-nolookalike').alphabet, info.alphabet, 'Should be retrievable by name');
+    assertEqual(getAlphabet('base62').length, 9, 'Built-in alphabets should be listed');
+    assertEqual(getAlphabet('test-missing'), null, 'Unknown names should return null');
+    
+    for (const value of [0, 1, 30, 31, 123456789, MAX_48_BIT]) {
+        const encoded = encodeWithAlphabet(value, 'test-nolookalike');
+        assert(!/[01OIL]/.test(encoded), 'Should only use alphabet characters');
+        assertEqual(decodeWithAlphabet(encoded.toLowerCase(), 'test-nolookalike'), value, 'Should round-trip case-insensitively');
+    }
+    
+    const binary = registerAlphabet('test-binary', '01');
+    assertEqual(binary.length, 48, 'Radix 2 should need 48 digits');
+    assertEqual(encodeWithAlphabet(5, 'test-binary'), '101'.padStart(48, '0'), 'Should encode in base 2');
+    
+    const generator = createGenerator({ epoch: Date.now() - 1000 });
+    const ids = generateTimestamps48(100, { generator, format: 'test-nolookalike' });
+    assert(ids.every((id) => isValidWithAlphabet(id, 'test-nolookalike')), 'Generated IDs should use the alphabet');
+    assertEqual([...ids].sort().join(), ids.join(), 'Generated IDs should sort in generation order');
+    assertEqual(GT48.builder().format('test-binary').epoch(Date.now() - 1000).build().generate().length, 48, 'Registered alphabets should be configurable');
+});
+
+runner.test('Invalid custom alphabets are rejected', () => {
+    const rejects = (fn, message) => {
+        try {
+            fn();
+        } catch (error) {
+            assert(error instanceof InvalidConfigError, `${message} (got ${error.name})`);
+            return;
+        }
+        throw new Error(message);
+    };
+    
+    rejects(() => registerAlphabet('test-dup', 'ABCA'), 'Duplicate characters should be rejected');
+    rejects(() => registerAlphabet('test-case', 'abcA', { caseInsensitive: true }), 'Case-folded duplicates should be rejected');
+    rejects(() => registerAlphabet('test-short', 'A'), 'Single-character alphabets should be rejected');
+    rejects(() => registerAlphabet('test-ascii', 'ABCé'), 'Non-ASCII characters should be rejected');
+    rejects(() => registerAlphabet('test-alias', 'ABC', { aliases: { B: 'A' } }), 'Aliases should not shadow alphabet characters');
+    rejects(() => registerAlphabet('test-target', 'ABC', { aliases: { X: 'Z' } }), 'Alias targets should be in the alphabet');
+    rejects(() => registerAlphabet('hex', '0123456789abcdef'), 'Built-in format names should be reserved');
+    rejects(() => registerAlphabet('base32', '0123456789ABCDEFGHJKMNPQRSTVWXYZ'), 'Existing alphabets should not be replaced');
+    rejects(() => encodeWithAlphabet(1, 'test-unregistered'), 'Unknown alphabets should be rejected');
+    assertEqual(getAlphabet('test-dup'), null, 'Rejected alphabets should not be registered');
+});
+
+runner.test('SharedTimestampGenerator shares one sequence across worker threads', async () => {
+    const epoch = Date.now() - 1000;
+    const generator = new SharedTimestampGenerator({ epoch });
+    const script = `
+        const { parentPort, workerData } = require('worker_threads');
+        const { SharedTimestampGenerator } = require(workerData.modulePath);
+        const generator = new SharedTimestampGenerator({ buffer: workerData.buffer, epoch: workerData.epoch });
+        parentPort.postMessage(Array.from(generator.generateRawBatch(workerData.count)));
+    `;
+    const workerData = { modulePath: require.resolve('../src/timestamp.js'), buffer: generator.buffer, epoch, count: 2000 };
+    const results = await Promise.all([0, 1].map(() => new Promise((resolve, reject) => {
+        const worker = new Worker(script, { eval: true, workerData });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+    })));
+    const local = Array.from(generator.generateRawBatch(2000));
+    
+    const all = [...results[0], ...results[1], ...local];
+    assertEqual(new Set(all).size, 6000, 'Values from all threads should be unique');
+    for (const values of [...results, local]) {
+        assert(values.every((value, i) => i === 0 || value > values[i - 1]), 'Each thread should stay monotonic');
+    }
+    
+    // Same buffer, same clock: generators interleave on one state
+    const clock = new ManualClock(epoch + 5000);
+    const first = new SharedTimestampGenerator({ epoch, clock, sequenceBits: 2, overflowStrategy: 'throw' });
+    const second = new SharedTimestampGenerator({ epoch, clock, sequenceBits: 2, overflowStrategy: 'throw', buffer: first.buffer });
+    const values = [first.generateRaw(), second.generateRaw(), first.generateRaw(), second.generateRaw()];
+    assertEqual(values.map((value) => first.decomposeRaw(value).sequence).join(), '0,1,2,3', 'Sequence should be shared');
+    assertThrows(() => second.generateRaw(), 'Overflow should apply to the shared sequence');
+    
+    assertThrows(() => new SharedTimestampGenerator({ epoch, buffer: first.buffer }), 'Mismatched layouts should be rejected');
+    assertThrows(() => new SharedTimestampGenerator({ epoch, monotonic: false }), 'Random-sequence mode cannot be shared');
+});
+
+runner.test('Cluster workers receive distinct node IDs from the primary', async () => {
+    const cluster = new EventEmitter();
+    const nodeIds = setupClusterNodeIds({ cluster });
+    
+    // Fake worker: its IPC channel forwards requests to the primary and receives replies
+    const fork = (id) => {
+        const channel = new EventEmitter();
+        const worker = { id, send: (message) => channel.emit('message', message) };
+        channel.send = (message) => setImmediate(() => cluster.emit('message', worker, message));
+        return { worker, channel };
+    };
+    const config = { epoch: Date.now() - 1000, precision: 'seconds', nodeBits: 1 };
+    const workers = [fork(1), fork(2), fork(3)];
+    
+    const generators = await Promise.all(workers.slice(0, 2).map(({ channel }) => createClusterGenerator(config, { process: channel })));
+    assertEqual(generators.map((generator) => generator.config.nodeId).join(), '0,1', 'Workers should get the lowest free node IDs');
+    
+    let error = null;
+    await createClusterGenerator(config, { process: workers[2].channel }).catch((e) => { error = e; });
+    assert(error instanceof InvalidConfigError, 'Should fail when every node ID is in use');
+    
+    cluster.emit('exit', workers[0].worker);
+    const replacement = await createClusterGenerator(config, { process: workers[2].channel });
+    assertEqual(replacement.config.nodeId, 0, 'Node IDs of exited workers should be reused');
+    assertEqual(nodeIds.assignments().size, 2, 'Only live workers should hold node IDs');
+    
+    error = null;
+    await createClusterGenerator(config, { process: new EventEmitter() }).catch((e) => { error = e; });
+    assert(error instanceof InvalidConfigError, 'Should require an IPC channel');
+    nodeIds.close();
+});
+
+runner.test('Persisted state survives a crash and a clock rollback', () => {
+    // In-memory store that keeps copies, like a file would
+    const store = {
+        state: null,
+        saves: 0,
+        load() { return this.state; },
+        save(state) { this.state = JSON.parse(JSON.stringify(state)); this.saves++; }
+    };
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 5, 1));
+    const first = new TimestampGenerator({ epoch, clock, stateStore: store, reserveAhead: 1000 });
+    let last = 0;
+    for (let i = 0; i < 500; i++) {
+        last = first.generateRaw();
+        clock.advance(1);
+    }
+    assertEqual(store.saves, 1, 'One save should reserve the whole window');
+    assertEqual(store.state.reservedUntil, first.decomposeRaw(last).timestamp - 499 + 1000, 'Reservation should extend reserveAhead past the first tick');
+    
+    // Crash without saveState(), then restart with the clock 5 seconds behind
+    clock.rewind(5000);
+    const second = new TimestampGenerator({ epoch, clock, stateStore: store });
+    const next = second.generateRaw();
+    assert(next > last, 'Restarted generator should not reissue values');
+    assertEqual(second.decomposeRaw(next).timestamp, store.state.reservedUntil - 1000, 'Should resume after the reserved window');
+    assertEqual(second.getStats().clockRegressionCount, 1, 'Rollback across the restart should count as a clock regression');
+});
+
+runner.test('Restart after a clock rollback follows clockDriftPolicy', () => {
+    const store = {
+        state: null,
+        load() { return this.state; },
+        save(state) { this.state = JSON.parse(JSON.stringify(state)); }
+    };
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 5, 1)).unfreeze();
+    const first = new TimestampGenerator({ epoch, clock, stateStore: store });
+    const last = first.generateRaw();
+    first.saveState();
+    
+    // Default 'continue-logical' borrows ticks instead of spinning until the clock catches up
+    clock.rewind(10000);
+    const second = new TimestampGenerator({ epoch, clock, stateStore: store });
+    const start = Date.now();
+    for (let i = 0; i < 5000; i++) {
+        assert(second.generateRaw() > last, 'Restarted generator should not reissue values');
+    }
+    assert(Date.now() - start < 1000, 'Restart should not wait for the clock to catch up');
+    
+    const strict = new TimestampGenerator({ epoch, clock, stateStore: store, clockDriftPolicy: 'throw' });
+    try {
+        strict.generateRaw();
+        assert(false, 'Should have thrown error');
+    } catch (error) {
+        assert(error instanceof ClockRegressionError, 'The throw policy should apply to a rollback across a restart');
+    }
+});
+
+runner.test('IDs issued after saveState() are reserved before a crash', () => {
+    const store = {
+        state: null,
+        load() { return this.state; },
+        save(state) { this.state = JSON.parse(JSON.stringify(state)); }
+    };
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 5, 1));
+    const first = new TimestampGenerator({ epoch, clock, stateStore: store });
+    first.generateRaw();
+    first.saveState();
+    // Same tick after the exact save, then a crash
+    const issued = [first.generateRaw(), first.generateRaw()];
+    
+    const second = new TimestampGenerator({ epoch, clock, stateStore: store, overflowStrategy: 'borrow-future' });
+    const afterCrash = second.generateRaw();
+    assert(afterCrash > issued[1], 'Restart should not reissue IDs generated after saveState()');
+    
+    // A restored exact state is also re-reserved before the next same-tick ID
+    second.saveState();
+    const resumed = new TimestampGenerator({ epoch, clock, stateStore: store, overflowStrategy: 'borrow-future' });
+    const beforeCrash = resumed.generateRaw();
+    assertEqual(beforeCrash, afterCrash + 1, 'Should resume exactly after the saved position');
+    const restarted = new TimestampGenerator({ epoch, clock, stateStore: store, overflowStrategy: 'borrow-future' });
+    assert(restarted.generateRaw() > beforeCrash, 'Restart after a restored state should not reissue');
+});
+
+runner.test('FileStateStore resumes exactly after saveState()', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gt48-'));
+    try {
+        const file = path.join(dir, 'state.json');
+        const store = new FileStateStore(file, { fsync: false });
+        assertEqual(store.load(), null, 'Missing files should load as no state');
+        
+        const epoch = Date.UTC(2026, 0, 1);
+        const clock = new ManualClock(Date.UTC(2026, 5, 1));
+        const generator = GT48.builder().epoch(epoch).clock(clock).stateStore(store).build();
+        generator.generateRaw();
+        const last = generator.generateRaw();
+        generator.saveState();
+        assert(!fs.existsSync(`${file}.tmp`), 'Temporary file should be renamed into place');
+        
+        const resumed = new TimestampGenerator({ epoch, clock, stateStore: store });
+        assertEqual(resumed.generateRaw(), last + 1, 'Clean shutdown should resume at the exact position');
+        assertEqual(resumed.getStats().generatedCount, 3, 'Counters should be restored');
+        
+        assertThrows(() => new TimestampGenerator({ epoch, clock, sequenceBits: 10, stateStore: store }), 'Different layouts should be rejected');
+        fs.writeFileSync(file, '{');
+        assertThrows(() => new TimestampGenerator({ epoch, clock, stateStore: store }), 'Corrupt state should be rejected');
+        assertThrows(() => new TimestampGenerator({ stateStore: {} }), 'Stores need load() and save()');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+runner.test('TimestampGenerator generate() and reset()', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 5, 1));
+    const generator = new TimestampGenerator({ epoch, clock });
+    
+    const first = generator.generate();
+    assertEqual(typeof first, 'string', 'Should use the configured format');
+    assertEqual(decodeTimestamp48(first) + 1, generator.generate('number'), 'Should accept a format');
+    assertEqual(new TimestampGenerator({ epoch, clock, format: 'hex' }).generate().length, 12, 'Should honor config.format');
+    assertEqual(new TimestampGenerator({ epoch, clock, bits: 64 }).generate().length, 11, 'Should handle wide layouts');
+    
+    generator.reset();
+    assertEqual(generator.generate('number'), decodeTimestamp48(first), 'Reset should start the tick over');
+    const stats = generator.getStats();
+    assertEqual(stats.generatedCount, 1, 'Reset should clear counters');
+    assertEqual(stats.sequenceCounter, 0, 'Reset should clear the sequence');
+});
+
+runner.test('TimestampGenerator snapshot() and restore() reinstate exact state', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 5, 1));
+    const generator = new TimestampGenerator({ epoch, clock });
+    generator.generateRaw();
+    const snapshot = generator.snapshot();
+    const ahead = [generator.generateRaw(), generator.generateRaw()];
+    
+    generator.restore(snapshot);
+    assertEqual(generator.generateRaw(), ahead[0], 'Restore should replay from the snapshot');
+    assertEqual(generator.generateRaw(), ahead[1], 'Sequence should continue as before');
+    assertEqual(generator.getStats().generatedCount, 3, 'Counters should be restored');
+    
+    // A fresh generator with the same layout picks up where the snapshot left off
+    const copy = new TimestampGenerator({ epoch, clock });
+    copy.restore(snapshot);
+    assertEqual(copy.generateRaw(), ahead[0], 'Snapshots should transfer between generators');
+    
+    assertThrows(() => new TimestampGenerator({ epoch, clock, sequenceBits: 10 }).restore(snapshot), 'Different layouts should be rejected');
+    assertThrows(() => new TimestampGenerator({ epoch, clock, monotonic: false }).restore(snapshot), 'Different modes should be rejected');
+    assertThrows(() => generator.restore({}), 'Malformed snapshots should be rejected');
+    
+    const shared = new SharedTimestampGenerator({ epoch, clock });
+    const sharedSnapshot = shared.snapshot();
+    const sharedValue = shared.generateRaw();
+    new SharedTimestampGenerator({ epoch, clock, buffer: shared.buffer }).restore(sharedSnapshot);
+    assertEqual(shared.generateRaw(), sharedValue, 'Restoring a shared generator should rewind the shared state');
+});
+
+runner.test('CLI generates, decodes and converts IDs', async () => {
+    const run = async (...args) => {
+        let stdout = '';
+        let stderr = '';
+        const io = { stdout: { write: (text) => { stdout += text; } }, stderr: { write: (text) => { stderr += text; } } };
+        const status = await cli.main(args, io);
+        return { status, stdout, stderr, lines: stdout.split('\n').filter(Boolean) };
+    };
+    
+    const generated = await run('generate', '-n', '3', '--format', 'hex');
+    assertEqual(generated.status, 0, 'generate should succeed');
+    assertEqual(generated.lines.length, 3, 'Should print one ID per line');
+    assert(generated.lines.every((id, i) => id.length === 12 && (i === 0 || id > generated.lines[i - 1])), 'IDs should be ordered hex');
+    
+    const [id] = (await run('generate')).lines;
+    const decoded = JSON.parse((await run('decode', id, '--json')).stdout);
+    const parsed = parseTimestamp48(id);
+    assertEqual(decoded.date, timestampToDate(id).toISOString(), 'Should print the ISO date');
+    assertEqual(decoded.timestamp, parsed.timestamp, 'Should print the timestamp field');
+    assertEqual(decoded.sequence, parsed.sequence, 'Should print the sequence field');
+    
+    const hex = (await run('convert', id, '--to', 'hex')).lines[0];
+    assertEqual(hex, decodeTimestamp48(id).toString(16).padStart(12, '0'), 'Should convert to hex');
+    assertEqual((await run('convert', '1493721f5800', '--to', 'number')).lines[0], String(0x1493721f5800), 'Should detect hex input');
+    assertEqual((await run('convert', hex, '--from', 'hex', '--to', 'base32')).lines[0], encodeBase32(decodeTimestamp48(id)), 'Should convert to registered alphabets');
+    assertEqual((await run('convert', String(decodeTimestamp48(id)), '--to', 'base64url')).lines[0], id, 'Should round-trip through number');
+    
+    assertEqual((await run('generate', '--format', 'binary')).status, 2, 'Binary output should be a usage error');
+    assertEqual((await run('convert', id)).status, 2, 'convert without --to should be a usage error');
+    assertEqual((await run('decode', '!!!!!!!!')).status, 1, 'Undecodable IDs should fail');
+});
+
+runner.test('CLI reads digit strings as numbers', async () => {
+    const run = async (...args) => {
+        let stdout = '';
+        const io = { stdout: { write: (text) => { stdout += text; } }, stderr: { write: () => {} } };
+        const status = await cli.main(args, io);
+        return { status, lines: stdout.split('\n').filter(Boolean) };
+    };
+    
+    const decoded = JSON.parse((await run('decode', '12345678', '--json')).lines[0]);
+    assertEqual(decoded.raw, 12345678, 'Eight digits should decode as a number');
+    assertEqual((await run('convert', '123456789012', '--to', 'number')).status, 1, 'Twelve digits should need --from');
+    assertEqual((await run('convert', '123456789012', '--from', 'number', '--to', 'number')).lines[0], '123456789012', '--from number should read twelve digits as a number');
+    assertEqual((await run('convert', '12345678', '--from', 'base64url', '--to', 'hex')).lines[0], decodeTimestamp48('12345678').toString(16).padStart(12, '0'), '--from should override detection');
+    
+    const validated = await run('validate', '0191a2b3c4d5', '281474976710655', '281474976710656', '149393280000');
+    assertEqual(validated.lines.join('\n'), '0191a2b3c4d5\tvalid\n281474976710655\tvalid\n281474976710656\tinvalid\n149393280000\tvalid', 'validate should detect hex and numbers');
+    assertEqual((await run('decode', '12345678', '--bits', '64')).status, 2, '--bits should be rejected outside generate');
+});
+
+runner.test('CLI does not guess the format of all-digit hex IDs', async () => {
+    let stdout = '';
+    let stderr = '';
+    const io = { stdout: { write: (text) => { stdout += text; } }, stderr: { write: (text) => { stderr += text; } } };
+    
+    // A hex ID from 2026-10 whose digits are all decimal
+    const id = '149393280000';
+    assertEqual(await cli.main(['decode', id], io), 1, 'Ambiguous IDs should fail');
+    assert(stderr.includes('--from'), 'The error should ask for --from');
+    assertEqual(stdout, '', 'Nothing should be decoded');
+    
+    assertEqual(await cli.main(['decode', id, '--from', 'hex', '--json'], io), 0, '--from hex should decode');
+    assertEqual(JSON.parse(stdout).raw, parseInt(id, 16), 'Should decode the hex value');
+});
+
+runner.test('CLI validates IDs from stdin', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'gt48.js');
+    const valid = generateTimestamp48();
+    const result = spawnSync(process.execPath, [bin, 'validate'], { input: `${valid}\nnot-an-id!\n\n`, encoding: 'utf8', timeout: 10000 });
+    
+    assertEqual(result.stdout, `${valid}\tvalid\nnot-an-id!\tinvalid\n`, 'Should report each non-empty line');
+    assertEqual(result.status, 1, 'Should exit 1 when an ID is invalid');
+    assertEqual(spawnSync(process.execPath, [bin, 'validate', valid], { encoding: 'utf8', timeout: 10000 }).status, 0, 'Should exit 0 when all IDs are valid');
+    assertEqual(spawnSync(process.execPath, [bin, 'unknown'], { encoding: 'utf8', timeout: 10000 }).status, 2, 'Unknown commands should exit 2');
+});
+
+runner.test('lowerBound() and upperBound() bracket every ID of an instant', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const instant = new Date(Date.UTC(2026, 5, 1));
+    const clock = new ManualClock(instant.getTime());
+    const nodes = [0, 3].map((nodeId) => new GT48({ epoch, clock, nodeBits: 2, nodeId, sequenceBits: 4 }));
+    const [gt48] = nodes;
+    
+    const lower = gt48.lowerBound(instant, 'number');
+    const upper = gt48.upperBound(instant, 'number');
+    const ids = nodes.flatMap((node) => Array.from(node.generateBatch(16, 'number')));
+    assert(ids.every((id) => id >= lower && id <= upper), 'IDs of all nodes should fall within the bounds');
+    assertEqual(upper - lower + 1, 64, 'Bounds should span every node ID and sequence');
+    assertEqual(gt48.lowerBound(instant.getTime() + 1, 'number'), upper + 1, 'Adjacent instants should not overlap');
+    
+    assertEqual(gt48.lowerBound(instant), encodeBase64URL48(lower), 'Should default to the configured format');
+    assertEqual(upperBoundTimestamp(instant, { generator: gt48.generator, format: 'base32' }), encodeBase32(upper), 'Functional form should accept a format');
+    assertEqual(lowerBoundTimestamp(instant, { generator: gt48.generator, format: 'number' }), lower, 'Functional form should match');
+    
+    // Coarser ticks contain the whole instant
+    const seconds = new GT48({ epoch, clock, precision: 'seconds' });
+    assertEqual(seconds.upperBound(instant.getTime() + 999, 'number') - seconds.lowerBound(instant, 'number'), 255, 'A second should map to one tick');
+    const wide = new GT48({ epoch, clock, bits: 64 });
+    assertEqual(wide.upperBound(instant, 'bigint') - wide.lowerBound(instant, 'bigint'), 255n, 'Should support wide layouts');
+    
+    assertThrows(() => gt48.lowerBound(new Date(Date.UTC(2025, 0, 1))), 'Instants before the epoch should be rejected');
+    assertThrows(() => gt48.upperBound('yesterday'), 'Non-dates should be rejected');
+});
+
+runner.test('compare() and sort() order Base64URL IDs by decoded value', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 5, 1));
+    const gt48 = new GT48({ epoch, clock });
+    const ids = [];
+    for (let i = 0; i < 600; i++) {
+        ids.push(gt48.generate());
+        if (i % 100 === 99) {
+            clock.advance(13);
+        }
+    }
+    const shuffled = ids.slice().reverse();
+    
+    // The Base64URL alphabet is not in ASCII order, so plain string sorting gets this wrong
+    assert(shuffled.slice().sort().join() !== ids.join(), 'String sort should not match generation order');
+    assertEqual(gt48.sort(shuffled).join(), ids.join(), 'sort() should restore generation order');
+    assertEqual(shuffled[0], ids[599], 'sort() should not modify its input');
+    assertEqual(gt48.compare(ids[0], ids[1]), -1, 'Earlier IDs should compare first');
+    assertEqual(gt48.compare(ids[1], ids[0]), 1, 'Later IDs should compare last');
+    assertEqual(gt48.compare(ids[7], ids[7]), 0, 'Equal IDs should compare equal');
+    assert(gt48.isBefore(ids[10], ids[500]) && gt48.isAfter(ids[500], ids[10]), 'isBefore/isAfter should follow compare');
+    assertEqual(gt48.max(shuffled), ids[599], 'max() should return the latest ID');
+    assertEqual(gt48.min(shuffled), ids[0], 'min() should return the earliest ID');
+    assertEqual(gt48.max([]), undefined, 'max() of nothing should be undefined');
+    
+    assertThrows(() => gt48.compare(ids[0], 'AAAAAA!A'), 'Invalid characters should be rejected');
+    assertThrows(() => gt48.compare(ids[0], 'AAAA'), 'Wrong lengths should be rejected');
+});
+
+runner.test('Comparison utilities work across formats', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const clock = new ManualClock(Date.UTC(2026, 5, 1));
+    const generator = new TimestampGenerator({ epoch, clock });
+    const first = generateTimestamp48({ generator, format: 'number' });
+    clock.advance(250);
+    const second = generateTimestamp48({ generator, format: 'number' });
+    
+    const encoders = {
+        base64url: encodeBase64URL48,
+        hex: (value) => value.toString(16).padStart(12, '0'),
+        binary: encodeBinary48,
+        base32: encodeBase32,
+        base62: encodeBase62
+    };
+    for (const [format, encode] of Object.entries(encoders)) {
+        const a = encode(first);
+        const b = encode(second);
+        assertEqual(compareTimestamps(b, a, { generator, format }), 1, `compare() should handle ${format}`);
+        assertEqual(diffTimestamps(b, a, { generator, format }), 250, `diff() should handle ${format}`);
+        assertEqual(earliestTimestamp([b, a], { generator, format }), a, `min() should handle ${format}`);
+    }
+    assertEqual(compareTimestamps(first, encodeBase64URL48(second), { generator }), -1, 'Numbers and strings should compare');
+    assertEqual(sortTimestamps(new Float64Array([second, first]), { generator })[0], first, 'Float64Array batches should sort');
+    
+    // Tick-based diff honors the layout's precision
+    const seconds = new TimestampGenerator({ epoch, clock, precision: 'seconds' });
+    const early = seconds.generate();
+    clock.advance(2000);
+    assertEqual(diffTimestamps(seconds.generate(), early, { generator: seconds }), 2000, 'diff() should use the generator precision');
+    
+    const wide = new GT48({ epoch, clock, bits: 64 });
+    const wideIds = [wide.generate(), wide.generate(), wide.generate()];
+    assertEqual(latestTimestamp(wideIds.slice().reverse(), { generator: wide.generator }), wideIds[2], 'Wide layouts should compare');
+    assertEqual(wide.compare(wideIds[0], wide.generate('bigint')), -1, 'BigInt and Base64URL wide IDs should compare');
+    assertEqual(wide.compare(new Uint8Array(8), wideIds[0]), -1, 'Wide byte arrays should compare');
+    const wideBytes = Uint8Array.from(Buffer.from(wide.generate('hex'), 'hex'));
+    assertEqual(wide.compare(wideBytes, wide.decode(wideBytes)), 0, 'Byte arrays should decode big-endian');
+    assertThrows(() => wide.compare(new Uint8Array(6), wideIds[0]), 'Byte arrays must match the layout width');
+    
+    // The format argument overrides the configured one, like lowerBound(date, format)
+    const hexIds = [wide.generate('hex'), wide.generate('hex')];
+    assertEqual(wide.compare(hexIds[1], hexIds[0], 'hex'), 1, 'compare() should accept a format');
+    assertEqual(wide.max(hexIds, 'hex'), hexIds[1], 'max() should accept a format');
+    assertEqual(wide.sort(hexIds.slice().reverse(), 'hex')[0], hexIds[0], 'sort() should accept a format');
+    const gt48 = new GT48({ epoch, clock });
+    assertEqual(gt48.diff(encodeBase32(second), encodeBase32(first), 'base32'), 250, 'diff() should accept a format');
+    assert(gt48.isBefore(encodeBase62(first), encodeBase62(second), 'base62'), 'isBefore() should accept a format');
+});
+
+runner.test('GT48 decode methods read the configured format', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const now = Date.UTC(2026, 5, 1, 12, 30);
+    const clock = new ManualClock(now);
+    
+    for (const format of ['base32', 'base64sort', 'base62', 'base36', 'hex', 'number', 'binary']) {
+        const gt48 = new GT48({ epoch, clock, format });
+        const id = gt48.generate();
+        assertEqual(gt48.toDate(id).getTime(), now, `toDate() should round-trip ${format}`);
+        assertEqual(gt48.parse(id).raw, gt48.decode(id), `parse() and decode() should agree for ${format}`);
+        assert(gt48.isValid(id), `isValid() should accept ${format}`);
+        assertEqual(timestampToDate(id, { generator: gt48.generator }).getTime(), now, `timestampToDate() should use the generator format for ${format}`);
+    }
+    
+    // An 8-character base64sort ID must not be read as Base64URL
+    const sortable = new GT48({ epoch, clock, format: 'base64sort' });
+    const id = sortable.generate();
+    assertEqual(sortable.decode(id), decodeSortableBase64(id), 'Should decode with the sortable alphabet');
+    assert(sortable.toDate(sortable.generate('base64url')).getTime() !== now, 'Base64URL IDs should not be read as Base64URL by a base64sort instance');
+    assertEqual(sortable.toDate(encodeBase64URL48(sortable.decode(id)), 'base64url').getTime(), now, 'An explicit format should override the configured one');
+    assertEqual(decodeTimestamp48(id, { format: 'base64sort' }), decodeSortableBase64(id), 'decodeTimestamp48 should accept a format');
+    assert(isValidTimestamp(encodeBase32(1), { format: 'base32' }), 'isValidTimestamp should accept a format');
+    assert(!isValidTimestamp(encodeBase32(1), { format: 'hex' }), 'Other formats should not validate');
+    assertThrows(() => isValidTimestamp(id, { format: 'nope' }), 'Unknown formats should be rejected');
+});
+
+runner.test('Custom alphabet IDs decode through GT48', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const now = Date.UTC(2026, 5, 1);
+    const clock = new ManualClock(now);
+    registerAlphabet('test-decode32', '0123456789abcdefghjkmnpqrstvwxyz');
+    
+    const gt48 = new GT48({ epoch, clock, format: 'test-decode32' });
+    const first = gt48.generate();
+    const second = gt48.generate();
+    assertEqual(gt48.toDate(first).getTime(), now, 'toDate() should decode the custom alphabet');
+    assertEqual(gt48.parse(second).sequence, 1, 'parse() should decode the custom alphabet');
+    assertEqual(gt48.decode(first), decodeWithAlphabet(first, 'test-decode32'), 'decode() should match decodeWithAlphabet');
+    assert(gt48.isValid(first) && !gt48.isValid('!'.repeat(first.length)), 'isValid() should use the alphabet');
+    assertEqual(gt48.compare(second, first), 1, 'compare() should use the alphabet');
+});
+
 runner.test('Error classes work correctly', () => {
     assert(GT48Error.prototype instanceof Error, 'GT48Error should extend Error');
     assert(InvalidEncodingError.prototype instanceof GT48Error, 'InvalidEncodingError should extend GT48Error');